@@ -0,0 +1,105 @@
+import { ObjectId } from 'mongodb';
+
+import {
+  ACCESS_TOKEN_SCOPES,
+  createAccessToken,
+  getAccessTokensForUser,
+  delAccessToken,
+} from '../db/accessTokens.js';
+import { generateToken, hashToken } from '../helpers/index.js';
+import pkg from 'lodash';
+const { get } = pkg;
+
+// Makes tokens easy to recognise, e.g. when they leak into a repository
+const TOKEN_PREFIX = 'pat_';
+const MAX_TOKEN_LIFETIME_DAYS = 365;
+
+const formatAccessToken = (token) => ({
+  id: token._id,
+  name: token.token_name,
+  scopes: token.token_scopes,
+  createdAt: token.token_created_at,
+  lastUsedAt: token.token_last_used_at,
+  expiresAt: token.token_expires_at,
+});
+
+export const createToken = async (req, res) => {
+  const { name, scopes, expires_in_days } = req.body;
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: 'Token name is required...' });
+  }
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    !scopes.every((scope) => ACCESS_TOKEN_SCOPES.includes(scope))
+  ) {
+    return res.status(400).json({
+      error: `Scopes must be a list of: ${ACCESS_TOKEN_SCOPES.join(', ')}`,
+    });
+  }
+  if (
+    expires_in_days !== undefined &&
+    expires_in_days !== null &&
+    (!Number.isInteger(expires_in_days) ||
+      expires_in_days < 1 ||
+      expires_in_days > MAX_TOKEN_LIFETIME_DAYS)
+  ) {
+    return res.status(400).json({
+      error: `expires_in_days must be an integer from 1 to ${MAX_TOKEN_LIFETIME_DAYS}.`,
+    });
+  }
+
+  try {
+    const user = get(req, 'identity');
+    const token = TOKEN_PREFIX + generateToken();
+
+    const accessToken = await createAccessToken({
+      user_id: user._id,
+      name,
+      token_hash: hashToken(token),
+      scopes: [...new Set(scopes)],
+      expires_at: expires_in_days
+        ? new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000)
+        : null,
+    });
+
+    // The token itself is only shown this once
+    return res.status(201).json({ ...formatAccessToken(accessToken), token });
+  } catch (error) {
+    console.error('Error creating access token:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const getTokens = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const tokens = await getAccessTokensForUser(user._id);
+    return res.status(200).json(tokens.map(formatAccessToken));
+  } catch (error) {
+    console.error('Error fetching access tokens:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const revokeToken = async (req, res) => {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid token id' });
+  }
+
+  try {
+    const user = get(req, 'identity');
+    const status = await delAccessToken(id, user._id);
+
+    if (status === 404) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error revoking access token:', error);
+    return res.sendStatus(500);
+  }
+};
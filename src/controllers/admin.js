@@ -0,0 +1,366 @@
+import {
+  USER_ROLES,
+  getUsersForAdmin,
+  isUserSuspended,
+  suspendUser,
+  unsuspendUser,
+  setUserRole,
+} from '../db/users.js';
+import {
+  archivePost as _archivePost,
+  unarchivePost as _unarchivePost,
+  delPost,
+  delComment,
+} from '../db/posts.js';
+import {
+  AUDIT_ACTIONS,
+  createAuditLogEntry,
+  getAuditLog,
+} from '../db/auditLog.js';
+import {
+  SETTING_DEFAULTS,
+  getSetting,
+  getSettings,
+  setSetting,
+} from '../db/settings.js';
+import { avatarUrl } from '../helpers/index.js';
+import { closeUserSockets } from '../realtime/index.js';
+import pkg from 'lodash';
+const { get } = pkg;
+
+const formatAdminUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  first_name: user.user_info.first_name,
+  last_name: user.user_info.last_name,
+  profile_pic: avatarUrl(user.username),
+  role: user.role,
+  is_suspended: isUserSuspended(user),
+  suspension_reason: user.profile_suspension_reason,
+  suspended_until: user.profile_suspended_until,
+  is_archived: user.profile_is_archived,
+  created_at: user.user_info.datetime_created,
+});
+
+export const listUsers = async (req, res) => {
+  try {
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+
+    const { q, role, suspended } = req.query;
+    if (role && !USER_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    const users = await getUsersForAdmin(page, {
+      q,
+      role,
+      suspended: suspended === undefined ? undefined : suspended === 'true',
+    });
+
+    return res.status(200).json(users.map(formatAdminUser));
+  } catch (error) {
+    console.error('Error listing users:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const suspendAccount = async (req, res) => {
+  const { reason, until } = req.body;
+
+  let suspended_until = null;
+  if (until !== undefined && until !== null) {
+    suspended_until = new Date(until);
+    if (isNaN(suspended_until.getTime()) || suspended_until <= new Date()) {
+      return res
+        .status(400)
+        .json({ error: 'until must be a date in the future' });
+    }
+  }
+
+  try {
+    const user = get(req, 'identity');
+    const target = get(req, 'requested_user_identity');
+
+    const suspended = await suspendUser(target._id, reason, suspended_until);
+    closeUserSockets(target._id);
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action: 'suspend_user',
+      target_type: 'user',
+      target_id: target._id,
+      target_user_id: target._id,
+      reason,
+      details: { until: suspended_until },
+    });
+
+    return res.status(200).json(formatAdminUser(suspended));
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const unsuspendAccount = async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const user = get(req, 'identity');
+    const target = get(req, 'requested_user_identity');
+
+    if (!target.profile_is_suspended) {
+      return res.status(400).json({ error: 'User is not suspended' });
+    }
+
+    const unsuspended = await unsuspendUser(target._id);
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action: 'unsuspend_user',
+      target_type: 'user',
+      target_id: target._id,
+      target_user_id: target._id,
+      reason,
+    });
+
+    return res.status(200).json(formatAdminUser(unsuspended));
+  } catch (error) {
+    console.error('Error unsuspending user:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const changeRole = async (req, res) => {
+  const { role, reason } = req.body;
+
+  // Admins are appointed through ADMIN_USERNAMES, not through the API
+  if (role !== 'user' && role !== 'moderator') {
+    return res
+      .status(400)
+      .json({ error: "role must be 'user' or 'moderator'" });
+  }
+
+  try {
+    const user = get(req, 'identity');
+    const target = get(req, 'requested_user_identity');
+
+    if (target.role === role) {
+      return res.status(400).json({ error: `User is already a ${role}` });
+    }
+
+    const updated = await setUserRole(target._id, role);
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action: 'change_role',
+      target_type: 'user',
+      target_id: target._id,
+      target_user_id: target._id,
+      reason,
+      details: { from: target.role, to: role },
+    });
+
+    return res.status(200).json(formatAdminUser(updated));
+  } catch (error) {
+    console.error('Error changing role:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const forceArchivePost = async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const user = get(req, 'identity');
+    const post = get(req, 'post_identity');
+
+    await _archivePost(post, true);
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action: 'archive_post',
+      target_type: 'post',
+      target_id: post._id,
+      target_user_id: post.post_owner_id,
+      reason,
+    });
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error archiving post:', error);
+    return res.sendStatus(500);
+  }
+};
+
+// Undoes a moderator's archive, which the post's owner cannot do
+export const forceUnarchivePost = async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const user = get(req, 'identity');
+    const post = get(req, 'post_identity');
+
+    if (!post.post_archived_by_moderator) {
+      return res
+        .status(400)
+        .json({ error: 'Post was not archived by a moderator' });
+    }
+
+    await _unarchivePost(post);
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action: 'unarchive_post',
+      target_type: 'post',
+      target_id: post._id,
+      target_user_id: post.post_owner_id,
+      reason,
+    });
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error unarchiving post:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const forceDeletePost = async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const user = get(req, 'identity');
+    const post = get(req, 'post_identity');
+
+    await delPost(post._id);
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action: 'delete_post',
+      target_type: 'post',
+      target_id: post._id,
+      target_user_id: post.post_owner_id,
+      reason,
+      details: { content: post.post_content },
+    });
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error deleting post:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const forceDeleteComment = async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const user = get(req, 'identity');
+    const comment = get(req, 'comment_identity');
+
+    await delComment(comment._id);
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action: 'delete_comment',
+      target_type: 'comment',
+      target_id: comment._id,
+      target_user_id: comment.comment_owner_id,
+      reason,
+      details: { post_id: comment.post_id, content: comment.comment_content },
+    });
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const getAuditEntries = async (req, res) => {
+  try {
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+
+    const { action } = req.query;
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res
+        .status(400)
+        .json({ error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+    }
+
+    const entries = await getAuditLog(page, { action });
+
+    const formattedEntries = entries.map((entry) => ({
+      id: entry._id,
+      actor: entry.audit_actor_id ? entry.audit_actor_id.username : null,
+      action: entry.audit_action,
+      target_type: entry.audit_target_type,
+      target_id: entry.audit_target_id,
+      target_user: entry.audit_target_user_id
+        ? entry.audit_target_user_id.username
+        : null,
+      reason: entry.audit_reason,
+      details: entry.audit_details,
+      timestamp: entry.audit_timestamp,
+    }));
+
+    return res.status(200).json(formattedEntries);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Checks a new value for each setting, returning what is wrong with it
+const SETTING_VALIDATORS = {
+  comment_edit_window_minutes: (value) =>
+    value === null || (Number.isInteger(value) && value > 0)
+      ? null
+      : 'value must be a positive whole number of minutes, or null for no limit',
+};
+
+export const getAppSettings = async (req, res) => {
+  try {
+    return res.status(200).json(await getSettings());
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const updateSetting = async (req, res) => {
+  const { key } = req.params;
+  const { value, reason } = req.body;
+
+  if (!Object.hasOwn(SETTING_DEFAULTS, key)) {
+    return res.status(404).json({ error: 'Setting does not exist' });
+  }
+  const invalid = SETTING_VALIDATORS[key](value === undefined ? null : value);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const user = get(req, 'identity');
+    const previous = await getSetting(key);
+    const setting = await setSetting(key, value ?? null, user._id);
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action: 'update_setting',
+      target_type: 'setting',
+      target_id: setting._id,
+      reason,
+      details: { key, from: previous, to: setting.setting_value },
+    });
+
+    return res.status(200).json({ [key]: setting.setting_value });
+  } catch (error) {
+    console.error('Error updating setting:', error);
+    return res.sendStatus(500);
+  }
+};
@@ -1,10 +1,78 @@
 import { createUser } from '../db/users.js';
-import { generateRandomString, authentication } from '../helpers/index.js';
-import { getUserByEmail } from '../db/users.js';
+import {
+  hashPassword,
+  verifyPassword,
+  passwordNeedsRehash,
+  generateToken,
+  hashToken,
+  signToken,
+  verifySignedToken,
+  suspensionError,
+} from '../helpers/index.js';
+import {
+  getUserByEmail,
+  getUserById,
+  updateUserPassword,
+  markEmailVerificationSent,
+  confirmUserEmail,
+  getUserWithTotp,
+  isUserSuspended,
+} from '../db/users.js';
+import { verifySecondFactor } from './twoFactor.js';
+import {
+  SESSION_ABSOLUTE_TTL,
+  createSession,
+  delSession,
+  deleteAllSessions,
+} from '../db/sessions.js';
+import {
+  RESET_TOKEN_TTL,
+  createPasswordReset,
+  consumePasswordReset,
+} from '../db/passwordResets.js';
+import {
+  createLoginChallenge,
+  consumeLoginChallenge,
+  deleteAllLoginChallenges,
+} from '../db/loginChallenges.js';
+import { deleteAllAccessTokens } from '../db/accessTokens.js';
+import {
+  sendPasswordResetMail,
+  sendVerificationMail,
+} from '../mail/templates.js';
+import { closeSessionSockets, closeUserSockets } from '../realtime/index.js';
 
 import pkg from 'lodash';
 const { get, merge } = pkg;
 
+const SESSION_COOKIE_OPTIONS = {
+  domain: 'localhost',
+  path: '/',
+  secure: true,
+  httpOnly: true,
+  sameSite: 'none',
+};
+
+/**
+ * Creates a session for a user who just logged in and hands its token out in
+ * the session_token cookie. Each login is its own session, so other devices
+ * stay logged in.
+ */
+const startSession = async (req, res, user) => {
+  const session_token = generateToken();
+  await createSession({
+    user_id: user._id,
+    session_token_hash: hashToken(session_token),
+    user_agent: req.get('user-agent'),
+    ip: req.ip,
+  });
+
+  res.cookie('session_token', session_token, {
+    ...SESSION_COOKIE_OPTIONS,
+    maxAge: SESSION_ABSOLUTE_TTL,
+  });
+};
+
 export const register = async (req, res) => {
   const registrationRequestBodyValid = get(
     req,
@@ -30,14 +98,11 @@ export const register = async (req, res) => {
       });
     }
 
-    const salt = generateRandomString();
-
     const user = await createUser({
       username,
       email,
       authentication: {
-        password: authentication(salt, password),
-        salt,
+        password: await hashPassword(password),
       },
       user_info: {
         first_name,
@@ -46,6 +111,11 @@ export const register = async (req, res) => {
       },
     });
 
+    // the account exists either way; the mail can be resent later
+    await sendEmailVerification(user, email).catch((error) =>
+      console.error('Error sending verification email: ', error)
+    );
+
     return res.sendStatus(200);
   } catch (error) {
     console.error('Error registering user: ', error);
@@ -62,49 +132,244 @@ export const login = async (req, res) => {
     });
   }
 
-  const user = await getUserByEmail(email, true);
+  try {
+    const user = await getUserByEmail(email, true);
 
-  if (!user) {
-    return res.status(400).json({
-      error: 'Invalid email or password...',
-    });
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid email or password...',
+      });
+    }
+
+    const { password: hashedPassword, salt } = user.authentication;
+
+    if (!(await verifyPassword(password, hashedPassword, salt))) {
+      return res.status(400).json({
+        error: 'Invalid email or password...',
+      });
+    }
+
+    if (isUserSuspended(user)) {
+      return res.status(403).json(suspensionError(user));
+    }
+
+    // Old hashes are upgraded now that we have the plain password
+    if (passwordNeedsRehash(hashedPassword)) {
+      user.authentication.password = await hashPassword(password);
+      user.authentication.salt = undefined;
+      await user.save();
+    }
+
+    if (user.two_factor_enabled) {
+      // Password was right; the session is only handed out for a valid code
+      const challenge_token = generateToken();
+      await createLoginChallenge(user._id, hashToken(challenge_token));
+      return res.status(200).json({
+        two_factor_required: true,
+        challenge_token,
+      });
+    }
+
+    await startSession(req, res, user);
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error logging in: ', error);
+    return res.sendStatus(500);
   }
+};
 
-  const { password: hashedPassword, salt } = user.authentication;
+export const loginTwoFactor = async (req, res) => {
+  const { challenge_token, code } = req.body;
 
-  if (authentication(salt, password) !== hashedPassword) {
+  if (!challenge_token || typeof challenge_token !== 'string') {
     return res.status(400).json({
-      error: 'Invalid email or password...',
+      error: 'Invalid or expired login attempt, please log in again...',
     });
   }
 
-  user.authentication.session_token = authentication(
-    generateRandomString(),
-    user._id.toString()
-  );
+  try {
+    // One code per challenge: after a wrong code the password is asked again
+    const user_id = await consumeLoginChallenge(hashToken(challenge_token));
+    if (!user_id) {
+      return res.status(400).json({
+        error: 'Invalid or expired login attempt, please log in again...',
+      });
+    }
 
-  await user.save();
+    const user = await getUserWithTotp(user_id);
 
-  res.cookie('session_token', user.authentication.session_token, {
-    domain: 'localhost',
-    path: '/',
-    secure: true,
-    httpOnly: true,
-    sameSite: 'none',
-  });
+    if (!user || !(await verifySecondFactor(user, code))) {
+      return res.status(400).json({
+        error: 'Invalid code, please log in again...',
+      });
+    }
 
-  return res.sendStatus(200);
+    await startSession(req, res, user);
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error logging in: ', error);
+    return res.sendStatus(500);
+  }
 };
 
 export const logout = async (req, res) => {
   const user = get(req, 'identity');
+  const session = get(req, 'session_identity');
 
-  user.authentication.session_token = authentication(
-    generateRandomString(),
-    user._id.toString()
-  );
+  await delSession(session._id, user._id);
+  closeSessionSockets(user._id, session._id);
 
-  await user.save();
+  res.clearCookie('session_token', SESSION_COOKIE_OPTIONS);
 
   return res.sendStatus(200);
 };
+
+export const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({
+      error: 'Email is required...',
+    });
+  }
+
+  try {
+    const user = await getUserByEmail(email);
+
+    // Answer the same either way so emails can't be probed
+    if (user) {
+      const token = generateToken();
+      await createPasswordReset(user._id, hashToken(token));
+      await sendPasswordResetMail(user, token, RESET_TOKEN_TTL);
+    }
+
+    return res.status(200).json({
+      message: 'If an account uses this email, a reset link has been sent.',
+    });
+  } catch (error) {
+    console.error('Error requesting password reset: ', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({
+      error: 'Token and password are required...',
+    });
+  }
+
+  if (password.length < 6) {
+    return res.status(400).json({
+      error: 'Password must be at least 6 characters...',
+    });
+  }
+
+  try {
+    const user_id = await consumePasswordReset(hashToken(token));
+
+    if (!user_id) {
+      return res.status(400).json({
+        error: 'Invalid or expired reset token...',
+      });
+    }
+
+    await updateUserPassword(user_id, await hashPassword(password));
+
+    // Sign out whoever is currently logged in with the old password, and
+    // revoke the access tokens they could have made with it
+    await deleteAllSessions(user_id);
+    await deleteAllLoginChallenges(user_id);
+    await deleteAllAccessTokens(user_id);
+    closeUserSockets(user_id);
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error resetting password: ', error);
+    return res.sendStatus(500);
+  }
+};
+
+// How long a verification link stays valid, and how often it can be resent
+const VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const VERIFICATION_RESEND_COOLDOWN = 2 * 60 * 1000; // 2 minutes
+
+/**
+ * Mails a signed link confirming `email` belongs to the user.
+ */
+export const sendEmailVerification = async (user, email) => {
+  const token = signToken(
+    { purpose: 'verify-email', sub: user._id.toString(), email },
+    VERIFICATION_TOKEN_TTL
+  );
+  await sendVerificationMail(user, email, token);
+  await markEmailVerificationSent(user._id);
+};
+
+/**
+ * True while the user has to wait before another verification mail is sent.
+ */
+export const verificationSentRecently = (user) => {
+  const sentAt = user.email_verification_sent_at;
+  return !!sentAt && Date.now() - sentAt < VERIFICATION_RESEND_COOLDOWN;
+};
+
+export const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  const payload = verifySignedToken(token, 'verify-email');
+  if (!payload) {
+    return res.status(400).json({
+      error: 'Invalid or expired verification token...',
+    });
+  }
+
+  try {
+    const user = await confirmUserEmail(payload.sub, payload.email);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid or expired verification token...',
+      });
+    }
+    return res.sendStatus(200);
+  } catch (error) {
+    // the new address was taken by another account in the meantime
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Email is already in use...',
+      });
+    }
+    console.error('Error verifying email: ', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const resendVerification = async (req, res) => {
+  try {
+    const identity = get(req, 'identity');
+    const user = await getUserById(identity._id, false);
+
+    const email = user.pending_email || (!user.email_is_verified && user.email);
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email is already verified...',
+      });
+    }
+
+    if (verificationSentRecently(user)) {
+      return res.status(429).json({
+        error: 'Verification email sent recently, please try again later...',
+      });
+    }
+
+    await sendEmailVerification(user, email);
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error resending verification: ', error);
+    return res.sendStatus(500);
+  }
+};
@@ -0,0 +1,43 @@
+import { openMedia } from '../storage/index.js';
+import { getPostByMediaId, canViewPost } from '../db/posts.js';
+import pkg from 'lodash';
+const { get } = pkg;
+
+export const getMedia = async (req, res) => {
+  try {
+    const { mediaId } = req.params;
+    // Stored files never change, so their id doubles as the ETag
+    const etag = `"${mediaId}"`;
+
+    // Attachments are only served to those who may see their post
+    const post = await getPostByMediaId(mediaId);
+    if (!post || !(await canViewPost(get(req, 'identity'), post))) {
+      return res.status(404).json({ error: 'Media does not exist' });
+    }
+
+    const media = await openMedia(mediaId);
+    if (!media) return res.status(404).json({ error: 'Media does not exist' });
+
+    res.set({
+      'Content-Type': media.contentType || 'application/octet-stream',
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      ETag: etag,
+      'X-Content-Type-Options': 'nosniff',
+    });
+
+    if (req.headers['if-none-match'] === etag) {
+      media.stream.destroy();
+      return res.sendStatus(304);
+    }
+
+    res.set('Content-Length', media.length);
+    media.stream.on('error', (error) => {
+      console.error('Error streaming media:', error);
+      res.destroy(error);
+    });
+    media.stream.pipe(res);
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
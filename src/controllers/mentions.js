@@ -0,0 +1,56 @@
+import { getMentionsForUser } from '../db/posts.js';
+import { getReactionAndUserData } from '../db/users.js';
+import { getHiddenUserIds } from '../db/blocks.js';
+import { formatFeedPost } from '../helpers/index.js';
+import pkg from 'lodash';
+const { get, merge } = pkg;
+
+export const getMentions = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+
+    const mentions = await getMentionsForUser(user._id, page);
+    const hiddenUserIds = (await getHiddenUserIds(user._id)).map((id) =>
+      id.toString()
+    );
+
+    const formattedMentions = [];
+    for (const mention of mentions) {
+      const owner_id =
+        mention.type === 'post'
+          ? mention.content.post_owner_id?._id
+          : mention.content.comment_owner_id;
+      if (owner_id && hiddenUserIds.includes(owner_id.toString())) continue;
+
+      if (mention.type === 'post') {
+        if (!mention.content.post_owner_id) continue;
+        formattedMentions.push({
+          type: 'post',
+          post: formatFeedPost(mention.content),
+        });
+      } else {
+        const [comment] = await getReactionAndUserData({
+          type: 'comments',
+          content: [mention.content],
+        });
+        // left out when its author's profile is archived
+        if (!comment) continue;
+        formattedMentions.push({
+          type: 'comment',
+          comment: { ...comment, post_id: mention.content.post_id },
+        });
+      }
+    }
+
+    return res.status(200).json(formattedMentions);
+  } catch (error) {
+    console.error('Error fetching mentions:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,210 @@
+import {
+  MAX_CONVERSATION_PARTICIPANTS,
+  createNewConversation,
+  getDirectConversation,
+  getConversationsForUser,
+  getUnreadCount,
+  getTotalUnreadCount,
+  markConversationRead,
+  createNewMessage,
+  getMessagesForConversation,
+  messageUpdate,
+  delMessage,
+} from '../db/messages.js';
+import pkg from 'lodash';
+const { get, merge } = pkg;
+
+export const createConversation = async (req, res) => {
+  const user = get(req, 'identity');
+  const participants = get(req, 'conversation_participants');
+  const { name } = req.body;
+
+  const participant_ids = [
+    user._id,
+    ...participants
+      .filter((p) => p._id.toString() !== user._id.toString())
+      .map((p) => p._id),
+  ];
+
+  if (participant_ids.length < 2) {
+    return res
+      .status(400)
+      .json({ error: 'A conversation needs at least one other user.' });
+  }
+  if (participant_ids.length > MAX_CONVERSATION_PARTICIPANTS) {
+    return res.status(400).json({
+      error: `A conversation can have at most ${MAX_CONVERSATION_PARTICIPANTS} participants.`,
+    });
+  }
+
+  try {
+    // 1:1 conversations are unique per pair of users
+    if (participant_ids.length === 2) {
+      const existing = await getDirectConversation(
+        participant_ids[0],
+        participant_ids[1]
+      );
+      if (existing) {
+        return res.status(200).json(existing._id);
+      }
+    }
+
+    const conversation = await createNewConversation({
+      created_by: user._id,
+      participant_ids,
+      name,
+    });
+
+    res.status(201).json(conversation._id);
+  } catch (error) {
+    console.error('error creating conversation:', error);
+    res.status(400).json({
+      error: 'Invalid request...',
+    });
+  }
+};
+
+export const getConversations = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+
+    const conversations = await getConversationsForUser(user._id, page);
+
+    const formattedConversations = [];
+    for (const conversation of conversations) {
+      formattedConversations.push({
+        id: conversation._id,
+        name: conversation.conversation_name,
+        isGroup: conversation.conversation_is_group,
+        participants: conversation.conversation_participants
+          .filter((participant) => participant.user_id)
+          .map((participant) => ({
+            username: participant.user_id.username,
+            first_name: participant.user_id.user_info.first_name,
+            last_name: participant.user_id.user_info.last_name,
+            last_read_at: participant.last_read_at,
+          })),
+        lastMessageAt: conversation.conversation_last_message_at,
+        unreadCount: await getUnreadCount(conversation, user._id),
+      });
+    }
+
+    return res.status(200).json(formattedConversations);
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const getUnreadMessageCount = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const unreadCount = await getTotalUnreadCount(user._id);
+    return res.status(200).json({ unreadCount });
+  } catch (error) {
+    console.error('Error counting unread messages:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const getMessages = async (req, res) => {
+  try {
+    const conversation = get(req, 'conversation_identity');
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+
+    const messages = await getMessagesForConversation(conversation._id, page);
+
+    const formattedMessages = messages.map((message) => ({
+      id: message._id,
+      username: message.message_sender_id
+        ? message.message_sender_id.username
+        : null,
+      content: message.message_content,
+      timestamp: message.message_timestamp,
+      editedAt: message.message_edited_at,
+      isDeleted: message.message_is_deleted,
+    }));
+
+    return res.status(200).json(formattedMessages);
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const sendMessage = async (req, res) => {
+  const { message_content } = req.body;
+  const conversation = get(req, 'conversation_identity');
+  const user = get(req, 'identity');
+
+  try {
+    if (!message_content) {
+      return res.status(400).json({ error: 'Message content is required' });
+    }
+
+    const newMessage = await createNewMessage({
+      conversation_id: conversation._id,
+      message_sender_id: user._id,
+      message_content,
+    });
+
+    res.status(201).json(newMessage._id);
+  } catch (error) {
+    console.error('error sending message:', error);
+    res.status(400).json({
+      error: 'Invalid request...',
+    });
+  }
+};
+
+export const markAsRead = async (req, res) => {
+  try {
+    const conversation = get(req, 'conversation_identity');
+    const user = get(req, 'identity');
+    await markConversationRead(conversation._id, user._id);
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error marking conversation as read:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const updateMessage = async (req, res) => {
+  try {
+    const { message_content } = req.body;
+
+    if (!message_content) {
+      return res.status(400).json({ error: 'No message content provided' });
+    }
+
+    const message = get(req, 'message_identity');
+    await messageUpdate(message, message_content);
+
+    return res.status(200).json({ message: 'Message updated successfully' });
+  } catch (error) {
+    console.error('Error updating message: ', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const deleteMessage = async (req, res) => {
+  try {
+    const message = get(req, 'message_identity');
+    await delMessage(message);
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error deleting message: ', error);
+    return res.sendStatus(500);
+  }
+};
@@ -0,0 +1,129 @@
+import {
+  getNotificationsForUser,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from '../db/notifications.js';
+import pkg from 'lodash';
+const { get, merge } = pkg;
+
+const NOTIFICATION_ACTIONS = {
+  comment: 'commented on your post',
+  reply: 'replied to your comment',
+  like: 'reacted to your post',
+};
+
+const REPORT_OUTCOMES = {
+  dismissed: 'Your report was reviewed and no action was taken',
+  hidden: 'Your report was reviewed and the content was hidden',
+  suspended: 'Your report was reviewed and the account was suspended',
+};
+
+// Builds the text of a moderation notification; these have no actors
+const formatModerationMessage = (notification) => {
+  const outcome = notification.notification_outcome;
+  if (notification.notification_type === 'report_resolved') {
+    return REPORT_OUTCOMES[outcome];
+  }
+  if (outcome === 'suspended') {
+    return 'Your account was suspended by a moderator';
+  }
+  const target = notification.notification_comment_id ? 'comment' : 'post';
+  if (outcome === 'restored') {
+    return `Your ${target} was reviewed and is visible again`;
+  }
+  return `Your ${target} was hidden by a moderator`;
+};
+
+// Builds the inbox text, e.g. "alice and 4 others reacted to your post"
+const formatNotificationMessage = (notification, usernames) => {
+  if (notification.notification_report_id) {
+    return formatModerationMessage(notification);
+  }
+  let action = NOTIFICATION_ACTIONS[notification.notification_type];
+  if (
+    notification.notification_type === 'like' &&
+    notification.notification_comment_id
+  ) {
+    action = 'reacted to your comment';
+  }
+  const [first = 'Someone'] = usernames;
+  const others = notification.notification_actor_count - 1;
+  if (others <= 0) return `${first} ${action}`;
+  return `${first} and ${others} ${others === 1 ? 'other' : 'others'} ${action}`;
+};
+
+export const getNotifications = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+    const unreadOnly = req.query.unread === 'true';
+
+    const notifications = await getNotificationsForUser(
+      user._id,
+      page,
+      unreadOnly
+    );
+
+    const formattedNotifications = notifications.map((notification) => {
+      const usernames = notification.notification_actor_ids
+        .filter((actor) => actor)
+        .map((actor) => actor.username);
+      return {
+        id: notification._id,
+        type: notification.notification_type,
+        message: formatNotificationMessage(notification, usernames),
+        actors: usernames,
+        actorCount: notification.notification_actor_count,
+        postId: notification.notification_post_id,
+        commentId: notification.notification_comment_id,
+        reportId: notification.notification_report_id,
+        isRead: notification.notification_is_read,
+        timestamp: notification.notification_timestamp,
+      };
+    });
+
+    return res.status(200).json(formattedNotifications);
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const getUnreadCount = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const unreadCount = await getUnreadNotificationCount(user._id);
+    return res.status(200).json({ unreadCount });
+  } catch (error) {
+    console.error('Error counting unread notifications:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const markAsRead = async (req, res) => {
+  try {
+    const notification = get(req, 'notification_identity');
+    await markNotificationRead(notification);
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const markAllAsRead = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    await markAllNotificationsRead(user._id);
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    return res.sendStatus(500);
+  }
+};
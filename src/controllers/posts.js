@@ -3,38 +3,169 @@ import {
   createNewComment,
   createNewLike,
   delComment,
+  commentUpdate,
   delPost,
   delLike,
   archivePost as _archivePost,
   getCommentsForPost,
+  getRepliesForComment,
+  getCommentById,
   unarchivePost as _unarchivePost,
   postUpdate,
+  getPostRevisions,
+  getPostRevisionById,
   getPostLikes,
   getPostsByUserId,
+  getArchivedPostsByUserId,
+  unarchiveAllPosts,
   fetchPosts,
+  visiblePostsFilter,
+  REACTION_TYPES,
+  POST_VISIBILITIES,
 } from '../db/posts.js';
-import { getReactionAndUserData } from '../db/users.js';
+import { getReactionAndUserData, resolveMentions } from '../db/users.js';
+import { getHiddenUserIds, isBlockedEitherWay } from '../db/blocks.js';
+import { getFollowingIds, getFollowerIds } from '../db/follows.js';
+import { getSetting } from '../db/settings.js';
+import {
+  pushToUser,
+  pushToPostSubscribers,
+  pushToAll,
+} from '../realtime/index.js';
+import { saveMedia, deleteMedia } from '../storage/index.js';
+import {
+  formatFeedPost,
+  extractHashtags,
+  splitCursorPage,
+} from '../helpers/index.js';
 import pkg from 'lodash';
 const { get, merge } = pkg;
+import { ObjectId } from 'mongodb';
+
+// Page-number pagination returns the documents as they are; cursor
+// pagination drops the look-ahead item and yields the next cursor
+const splitPage = (docs, pagination, field) => {
+  if (typeof pagination === 'number') return { docs, nextCursor: null };
+  return splitCursorPage(docs, pagination.limit, field);
+};
+
+// Page-number routes answer with a bare array, cursor routes with an envelope
+const sendPage = (res, items, pagination, nextCursor) => {
+  if (typeof pagination === 'number') return res.status(200).json(items);
+  return res.status(200).json({ items, nextCursor });
+};
+
+// Live events for the realtime channel, sent once the response is out
+
+// Only those who may see the post hear about it
+const pushNewPost = async (post, user) => {
+  await post.populate({
+    path: 'post_owner_id',
+    select: 'username',
+  });
+  const event = { type: 'post', post: formatFeedPost(post) };
+  const blockedIds = (await getHiddenUserIds(user._id)).map((id) =>
+    id.toString()
+  );
+  if (post.post_visibility === 'public' && !user.profile_is_private) {
+    return pushToAll(event, blockedIds);
+  }
+  pushToUser(user._id, event);
+  if (post.post_visibility === 'only_me') return;
+  for (const follower_id of await getFollowerIds(user._id)) {
+    if (!blockedIds.includes(follower_id.toString())) {
+      pushToUser(follower_id, event);
+    }
+  }
+};
+
+const pushNewComment = async (post, comment) => {
+  const [formattedComment] = await getReactionAndUserData({
+    type: 'comments',
+    content: [comment],
+  });
+  const event = {
+    type: 'comment',
+    post_id: post._id,
+    comment: formattedComment,
+  };
+  // Left out of the comment list for users blocked either way, so not pushed
+  const blockedIds = (await getHiddenUserIds(comment.comment_owner_id)).map(
+    (id) => id.toString()
+  );
+  pushToPostSubscribers(post._id, event, blockedIds);
+  if (post.post_owner_id.toString() !== comment.comment_owner_id.toString()) {
+    pushToUser(post.post_owner_id, event);
+  }
+};
+
+const pushNewLike = async (post, comment, user, like_type) => {
+  const owner_id = comment ? comment.comment_owner_id : post.post_owner_id;
+  if (owner_id.toString() === user._id.toString()) return;
+  const [formattedLike] = await getReactionAndUserData({
+    type: 'likes',
+    content: [{ like_owner_id: user._id, like_type }],
+  });
+  pushToUser(owner_id, {
+    type: 'like',
+    post_id: post._id,
+    comment_id: comment ? comment._id : null,
+    like: formattedLike,
+  });
+};
 
 export const createPost = async (req, res) => {
-  const { post_content } = req.body;
+  const { post_content, post_visibility = 'public' } = req.body;
 
   if (!post_content) {
     return res.status(400).json({ error: 'post_content required.' });
   }
+  if (!POST_VISIBILITIES.includes(post_visibility)) {
+    return res.status(400).json({
+      error: `post_visibility must be one of: ${POST_VISIBILITIES.join(', ')}.`,
+    });
+  }
 
   const user = get(req, 'identity');
+  const files = req.post_media_files || [];
+  const post_media = [];
 
   try {
+    for (const file of files) {
+      const media_id = await saveMedia(file.buffer, {
+        filename: file.filename,
+        contentType: file.content_type,
+      });
+      post_media.push({
+        media_id,
+        media_type: file.media_type,
+        content_type: file.content_type,
+        width: file.width,
+        height: file.height,
+        size: file.size,
+      });
+    }
+
     const newPost = await createNewPost({
       post_owner_id: user._id.toString(),
       post_content,
+      post_hashtags: extractHashtags(post_content),
+      post_mentions: await resolveMentions(post_content),
+      post_media,
+      post_visibility,
     });
 
     res.status(201).json(newPost._id);
+
+    pushNewPost(newPost, user).catch((error) =>
+      console.error('Error pushing post:', error)
+    );
   } catch (error) {
     console.error('error creating post:', error);
+    // don't leave files behind for a post that was never created
+    for (const media of post_media) {
+      await deleteMedia(media.media_id).catch(() => {});
+    }
     res.status(400).json({
       error: 'Invalid request...',
     });
@@ -56,6 +187,11 @@ export const archivePost = async (req, res) => {
 export const unarchivePost = async (req, res) => {
   try {
     const post = get(req, 'post_identity');
+    if (post.post_archived_by_moderator) {
+      return res
+        .status(403)
+        .json({ error: 'Post was archived by a moderator' });
+    }
     await _unarchivePost(post);
 
     res.sendStatus(200);
@@ -65,10 +201,39 @@ export const unarchivePost = async (req, res) => {
   }
 };
 
+export const getArchivedPosts = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const pagination = get(req, 'pagination');
+    const { docs: posts, nextCursor } = splitPage(
+      await getArchivedPostsByUserId(user._id, pagination),
+      pagination,
+      'post_timestamp'
+    );
+    return sendPage(res, posts, pagination, nextCursor);
+  } catch (error) {
+    console.error('Error fetching archived posts:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Posts a moderator archived are left as they are
+export const restoreArchivedPosts = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const restored = await unarchiveAllPosts(user._id);
+    return res.status(200).json({ restored });
+  } catch (error) {
+    console.error('Error restoring archived posts:', error);
+    return res.sendStatus(500);
+  }
+};
+
 // Comment creation
 export const createComment = async (req, res) => {
-  const { comment_content } = req.body;
-  const { id: post_id } = get(req, 'post_identity');
+  const { comment_content, parent_comment_id } = req.body;
+  const post = get(req, 'post_identity');
+  const { id: post_id } = post;
   const user = get(req, 'identity');
 
   try {
@@ -77,14 +242,37 @@ export const createComment = async (req, res) => {
       return res.status(400).json({ error: 'Comment content is required' });
     }
 
+    // Replies must target a live comment on the same post
+    if (parent_comment_id) {
+      if (!ObjectId.isValid(parent_comment_id)) {
+        return res.status(400).json({ error: 'Invalid parent comment id' });
+      }
+      const parent = await getCommentById(parent_comment_id);
+      if (
+        !parent ||
+        parent.comment_is_deleted ||
+        parent.post_id.toString() !== post_id
+      ) {
+        return res
+          .status(400)
+          .json({ error: 'Parent comment does not exist on this post' });
+      }
+    }
+
     // Create new comment if post id is valid
     const newComment = await createNewComment({
       post_id,
       comment_owner_id: user._id.toString(),
       comment_content,
+      comment_mentions: await resolveMentions(comment_content),
+      parent_comment_id: parent_comment_id || null,
     });
 
     res.status(201).json(newComment._id);
+
+    pushNewComment(post, newComment).catch((error) =>
+      console.error('Error pushing comment:', error)
+    );
   } catch (error) {
     console.error('error creating comment:', error);
     res.status(400).json({
@@ -93,6 +281,45 @@ export const createComment = async (req, res) => {
   }
 };
 
+export const updateComment = async (req, res) => {
+  const { comment_content } = req.body;
+  const comment = get(req, 'comment_identity');
+
+  if (!comment_content) {
+    return res.status(400).json({ error: 'Comment content is required' });
+  }
+  if (comment.comment_is_deleted) {
+    return res.status(400).json({ error: 'Cannot edit a deleted comment' });
+  }
+  if (comment.comment_is_hidden) {
+    return res.status(400).json({ error: 'Cannot edit a hidden comment' });
+  }
+
+  try {
+    const editWindow = await getSetting('comment_edit_window_minutes');
+    if (
+      editWindow !== null &&
+      Date.now() - comment.comment_timestamp > editWindow * 60 * 1000
+    ) {
+      return res.status(403).json({
+        error: `Comments can only be edited within ${editWindow} minutes of posting`,
+      });
+    }
+
+    if (comment_content !== comment.comment_content) {
+      await commentUpdate(comment, {
+        comment_content,
+        comment_mentions: await resolveMentions(comment_content),
+      });
+    }
+
+    return res.status(200).json({ message: 'Comment updated successfully' });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    return res.sendStatus(500);
+  }
+};
+
 export const deleteComment = async (req, res) => {
   try {
     const comment = get(req, 'comment_identity');
@@ -117,17 +344,31 @@ export const deletePost = async (req, res) => {
 // update posts
 export const updatePost = async (req, res) => {
   try {
-    const { post_content } = req.body;
+    const { post_content, post_visibility } = req.body;
 
-    if (!post_content) {
+    if (!post_content && post_visibility === undefined) {
       return res.status(400).json({ error: 'No post content provided' });
     }
+    if (
+      post_visibility !== undefined &&
+      !POST_VISIBILITIES.includes(post_visibility)
+    ) {
+      return res.status(400).json({
+        error: `post_visibility must be one of: ${POST_VISIBILITIES.join(', ')}.`,
+      });
+    }
 
     const post = get(req, 'post_identity');
 
-    postUpdate(post._id, {
-      post_content,
-    });
+    const values = {};
+    if (post_content) {
+      values.post_content = post_content;
+      values.post_hashtags = extractHashtags(post_content);
+      values.post_mentions = await resolveMentions(post_content);
+    }
+    if (post_visibility !== undefined) values.post_visibility = post_visibility;
+
+    await postUpdate(post, values);
 
     return res.status(200).json({ message: 'Post updated successfully' });
   } catch (error) {
@@ -136,6 +377,57 @@ export const updatePost = async (req, res) => {
   }
 };
 
+export const getRevisionsForPost = async (req, res) => {
+  try {
+    const post = get(req, 'post_identity');
+    const pagination = get(req, 'pagination');
+    const { docs: revisions, nextCursor } = splitPage(
+      await getPostRevisions(post._id, pagination),
+      pagination,
+      'revision_timestamp'
+    );
+    const formattedRevisions = revisions.map((revision) => ({
+      id: revision._id,
+      revision_number: revision.revision_number,
+      content: revision.revision_content,
+      written_at: revision.revision_timestamp,
+      replaced_at: revision.revision_replaced_at,
+    }));
+    return sendPage(res, formattedRevisions, pagination, nextCursor);
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Restoring is an edit like any other, so the current content is kept too
+export const restorePostRevision = async (req, res) => {
+  try {
+    const post = get(req, 'post_identity');
+    const { revisionId } = req.params;
+    if (!ObjectId.isValid(revisionId)) {
+      return res.status(404).json({ error: 'Invalid revision id' });
+    }
+
+    const revision = await getPostRevisionById(revisionId, post._id);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision does not exist' });
+    }
+
+    const post_content = revision.revision_content;
+    const updatedPost = await postUpdate(post, {
+      post_content,
+      post_hashtags: extractHashtags(post_content),
+      post_mentions: await resolveMentions(post_content),
+    });
+
+    return res.status(200).json(updatedPost);
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    return res.sendStatus(500);
+  }
+};
+
 export const getPost = async (req, res) => {
   try {
     const { post_identity } = req;
@@ -149,14 +441,30 @@ export const getPost = async (req, res) => {
 export const getPostByUsername = async (req, res) => {
   try {
     const requested_user = get(req, 'requested_user_identity');
-    const page = Number(req.params.page);
-    if (!Number.isInteger(page) || page <= 0) {
-      return res.status(400).json({
-        error: 'Page number must be integer greater than or equal to 1.',
+    const user = get(req, 'identity');
+    if (await isBlockedEitherWay(user._id, requested_user._id)) {
+      return res.status(403).json({
+        error: 'You cannot view posts of this user due to a block',
       });
     }
-    const posts = await getPostsByUserId(requested_user._id, page);
-    return res.status(200).json(posts);
+    if (
+      requested_user.profile_is_archived &&
+      requested_user._id.toString() !== user._id.toString()
+    ) {
+      return res.status(410).json({ error: 'Profile is archived' });
+    }
+
+    const pagination = get(req, 'pagination');
+    const { docs: posts, nextCursor } = splitPage(
+      await getPostsByUserId(
+        requested_user._id,
+        pagination,
+        await visiblePostsFilter(user._id)
+      ),
+      pagination,
+      'post_timestamp'
+    );
+    return sendPage(res, posts, pagination, nextCursor);
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal server error' });
@@ -166,18 +474,25 @@ export const getPostByUsername = async (req, res) => {
 export const getLikesForPost = async (req, res) => {
   try {
     const post_id = req.params.id;
-    const page = Number(req.params.page);
-    if (!Number.isInteger(page) || page <= 0) {
+    const pagination = get(req, 'pagination');
+    const { type } = req.query;
+    if (type && !REACTION_TYPES.includes(type)) {
       return res.status(400).json({
-        error: 'Page number must be integer greater than or equal to 1.',
+        error: `Reaction type must be one of: ${REACTION_TYPES.join(', ')}.`,
       });
     }
-    const likes = await getPostLikes(post_id, page);
-    const userIds = await getReactionAndUserData({
-      type: 'likes',
-      content: likes,
-    });
-    return res.status(200).json(userIds);
+    const comment = get(req, 'comment_identity');
+    const { docs: likes, nextCursor } = splitPage(
+      await getPostLikes(post_id, pagination, type, comment?._id),
+      pagination,
+      'like_timestamp'
+    );
+    const hiddenUserIds = await getHiddenUserIds(get(req, 'identity')._id);
+    const userIds = await getReactionAndUserData(
+      { type: 'likes', content: likes },
+      hiddenUserIds
+    );
+    return sendPage(res, userIds, pagination, nextCursor);
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal server error' });
@@ -186,18 +501,39 @@ export const getLikesForPost = async (req, res) => {
 export const getCommsForPost = async (req, res) => {
   try {
     const post_id = req.params.id;
-    const page = Number(req.params.page);
-    if (!Number.isInteger(page) || page <= 0) {
-      return res.status(400).json({
-        error: 'Page number must be integer greater than or equal to 1.',
-      });
-    }
-    const comments = await getCommentsForPost(post_id, page);
-    const userIds = await getReactionAndUserData({
-      type: 'comments',
-      content: comments,
-    });
-    return res.status(200).json(userIds);
+    const pagination = get(req, 'pagination');
+    const { docs: comments, nextCursor } = splitPage(
+      await getCommentsForPost(post_id, pagination),
+      pagination,
+      'comment_timestamp'
+    );
+    const hiddenUserIds = await getHiddenUserIds(get(req, 'identity')._id);
+    const userIds = await getReactionAndUserData(
+      { type: 'comments', content: comments },
+      hiddenUserIds
+    );
+    return sendPage(res, userIds, pagination, nextCursor);
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const getRepliesForComm = async (req, res) => {
+  try {
+    const comment = get(req, 'comment_identity');
+    const pagination = get(req, 'pagination');
+    const { docs: replies, nextCursor } = splitPage(
+      await getRepliesForComment(comment._id, pagination),
+      pagination,
+      'comment_timestamp'
+    );
+    const hiddenUserIds = await getHiddenUserIds(get(req, 'identity')._id);
+    const userIds = await getReactionAndUserData(
+      { type: 'comments', content: replies },
+      hiddenUserIds
+    );
+    return sendPage(res, userIds, pagination, nextCursor);
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal server error' });
@@ -206,17 +542,41 @@ export const getCommsForPost = async (req, res) => {
 
 export const createLike = async (req, res) => {
   const { id: post_id } = req.params;
+  const { like_type = 'like' } = req.body;
+  const post = get(req, 'post_identity');
   const user = get(req, 'identity');
+  const comment = get(req, 'comment_identity');
+
+  if (!REACTION_TYPES.includes(like_type)) {
+    return res.status(400).json({
+      error: `Reaction type must be one of: ${REACTION_TYPES.join(', ')}.`,
+    });
+  }
+  if (comment?.comment_is_deleted) {
+    return res.status(400).json({ error: 'Cannot react to a deleted comment' });
+  }
+  if (comment?.comment_is_hidden) {
+    return res.status(400).json({ error: 'Cannot react to a hidden comment' });
+  }
+
   try {
     const statusCode = await createNewLike({
       post_id,
+      comment_id: comment?._id,
       like_owner_id: user._id.toString(),
+      like_type,
     });
     if (statusCode === 201) {
       res.status(201).json({ message: 'New like created successfully' });
     } else {
-      res.status(200).json({ message: 'You have already liked this post.' });
+      res.status(200).json({ message: `Your reaction is now "${like_type}".` });
     }
+
+    // Only a new reaction or a switch to another type is news to viewers
+    if (statusCode === 204) return;
+    pushNewLike(post, comment, user, like_type).catch((error) =>
+      console.error('Error pushing like:', error)
+    );
   } catch (error) {
     console.error('Error creating like:', error);
     res.status(400).json({
@@ -228,9 +588,11 @@ export const createLike = async (req, res) => {
 export const deleteLike = async (req, res) => {
   const { id: post_id } = req.params;
   const user = get(req, 'identity');
+  const comment = get(req, 'comment_identity');
   try {
     const statusCode = await delLike({
       post_id,
+      comment_id: comment?._id,
       like_owner_id: user._id.toString(),
     });
     if (statusCode === 200) {
@@ -248,27 +610,39 @@ export const deleteLike = async (req, res) => {
 
 export const getFeed = async (req, res) => {
   try {
-    const page = Number(req.params.page);
+    const pagination = get(req, 'pagination');
 
-    if (!Number.isInteger(page) || page <= 0) {
+    // "explore" is the global feed, "following" only the accounts followed
+    const mode = req.query.mode || 'explore';
+    if (mode !== 'explore' && mode !== 'following') {
       return res.status(400).json({
-        error: 'Page number must be integer greater than or equal to 1.',
+        error: 'Feed mode must be either "explore" or "following".',
       });
     }
 
-    const posts = await fetchPosts(page);
+    const user = get(req, 'identity');
+    let ownerIds;
+    if (mode === 'following') {
+      ownerIds = await getFollowingIds(user._id);
+    }
 
-    const formattedPosts = posts.map((post) => ({
-      username: post.post_owner_id.username,
-      profilePic: post.post_owner_id.user_info.profile_picture ? post.post_owner_id.user_info.profile_picture.toString('base64') : post.post_owner_id.user_info.profile_picture,
-      timestamp: post.post_timestamp,
-      likeCount: post.post_like_count,
-      commentCount: post.post_comment_count,
-      content: post.post_content,
-      id: post._id,
-    }));
+    // Muted accounts are only left out of the feed, blocked ones everywhere
+    const hiddenUserIds = await getHiddenUserIds(user._id, true);
+
+    const { docs: posts, nextCursor } = splitPage(
+      await fetchPosts(
+        pagination,
+        ownerIds,
+        hiddenUserIds,
+        await visiblePostsFilter(user._id)
+      ),
+      pagination,
+      'post_timestamp'
+    );
+
+    const formattedPosts = posts.map(formatFeedPost);
 
-    res.json(formattedPosts);
+    sendPage(res, formattedPosts, pagination, nextCursor);
   } catch (error) {
     console.error('Error fetching feed:', error);
     res.status(500).send('Server Error');
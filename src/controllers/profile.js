@@ -5,7 +5,44 @@ import {
   unarchiveProfile as _unarchiveProfile,
   getUserInfo,
   getUserList,
+  getUsersByUsernamePrefix,
+  getUserByEmail,
+  getUserByPendingEmail,
+  setPendingEmail,
+  setProfilePrivacy,
 } from '../db/users.js';
+import {
+  sendEmailVerification,
+  verificationSentRecently,
+} from './authentication.js';
+import {
+  createBlock,
+  delBlock,
+  getBlocksForUser,
+  getHiddenUserIds,
+  isBlockedEitherWay,
+} from '../db/blocks.js';
+import {
+  createFollow,
+  delFollow,
+  getFollowers,
+  getFollowing,
+  getFollowCounts,
+  getFollowStatus,
+  getFollowRequests,
+  approveFollowRequest,
+  denyFollowRequest,
+  approveAllFollowRequests,
+} from '../db/follows.js';
+import {
+  AVATAR_SIZES,
+  DEFAULT_AVATAR,
+  isValidAvatarImage,
+  saveAvatar,
+  openAvatar,
+} from '../db/avatars.js';
+import { avatarUrl } from '../helpers/index.js';
+import { closeUserSockets } from '../realtime/index.js';
 import pkg from 'lodash';
 const { get, merge } = pkg;
 
@@ -13,11 +50,16 @@ export const getProfile = async (req, res) => {
   const profile = get(req, 'identity');
   try {
     return res.status(200).json({
-      user_info: {...profile.user_info, profile_picture: profile.user_info.profile_picture ? profile.user_info.profile_picture.toString('base64') : null},
+      user_info: {...profile.user_info, profile_picture: avatarUrl(profile.username)},
       _id: profile._id,
       username: profile.username,
       email: profile.email,
+      email_is_verified: profile.email_is_verified,
+      pending_email: profile.pending_email,
+      two_factor_enabled: profile.two_factor_enabled,
+      role: profile.role,
       profile_is_archived: profile.profile_is_archived,
+      profile_is_private: profile.profile_is_private,
       __v: profile.__v,
     });
   } catch (error) {
@@ -32,15 +74,22 @@ export const updateProfile = async (req, res) => {
   const user = get(req, 'identity');
   const newProfileData = get(req, 'newProfileData');
 
-  if (newProfileData.profile_picture) {
-    //converting base64 string from the request body into a Buffer object (binary)
-    newProfileData.profile_picture = Buffer.from(
-      newProfileData.profile_picture,
-      'base64'
-    );
-  }
-
   try {
+    let profile_picture = null;
+    if (newProfileData.profile_picture) {
+      //converting base64 string from the request body into a Buffer object (binary)
+      profile_picture = Buffer.from(newProfileData.profile_picture, 'base64');
+      delete newProfileData.profile_picture;
+
+      if (!(await isValidAvatarImage(profile_picture))) {
+        return res.status(400).json({ error: 'Invalid profile picture' });
+      }
+    }
+
+    // avatars are stored apart from the user document
+    if (profile_picture) {
+      await saveAvatar(user._id, profile_picture);
+    }
     await updateUserProfile(user._id, newProfileData);
 
     return res.sendStatus(200);
@@ -70,6 +119,7 @@ export const deleteProfile = async (req, res) => {
     if (status === 400) {
       res.status(status).json({ message });
     } else {
+      if (status === 200) closeUserSockets(user._id);
       res.sendStatus(status);
     }
   } catch (error) {
@@ -92,13 +142,23 @@ export const unarchiveProfile = async (req, res) => {
 export const getUserPublicInfo = async (req, res) => {
   try {
     const username = req.params.username;
+    const requested_user = get(req, 'requested_user_identity');
+    const user = get(req, 'identity');
+    if (
+      requested_user.profile_is_archived &&
+      requested_user._id.toString() !== user._id.toString()
+    ) {
+      return res.status(410).json({ error: 'Profile is archived' });
+    }
     const info = await getUserInfo(username);
-    let infoClone = {};
-    if(info.profile_picture) {
-      infoClone = {...info, 'profile_picture': info.profile_picture.toString('base64')};
-    } else {
-      infoClone = {...info};
-    };
+    const infoClone = {...info, 'profile_picture': avatarUrl(username)};
+    const { followers, following } = await getFollowCounts(requested_user._id);
+    infoClone.follower_count = followers;
+    infoClone.following_count = following;
+    const follow_status = await getFollowStatus(user._id, requested_user._id);
+    infoClone.is_following = follow_status === 'accepted';
+    infoClone.follow_requested = follow_status === 'pending';
+    infoClone.is_private = requested_user.profile_is_private;
     return res.status(200).json(infoClone);
   } catch (error){
     console.error('Error fetching profile picture: ', error);
@@ -108,14 +168,420 @@ export const getUserPublicInfo = async (req, res) => {
 
 export const getUsers = async (req, res) => {
   try {
-    const users = await getUserList();
+    const user = get(req, 'identity');
+    const users = await getUserList(await getHiddenUserIds(user._id));
     const formattedUsers = users.map((user) => ({
       username: user.username,
-      profilePic: user.user_info.profile_picture ? user.user_info.profile_picture.toString('base64') : user.user_info.profile_picture,
+      profilePic: avatarUrl(user.username),
     }));
     return res.json(formattedUsers);
   } catch (error) {
     console.error('Error fetching user list:', error);
     res.status(500).send('Server Error');
   }
-};
\ No newline at end of file
+};
+
+export const followUser = async (req, res) => {
+  const user = get(req, 'identity');
+  const requested_user = get(req, 'requested_user_identity');
+
+  if (user._id.toString() === requested_user._id.toString()) {
+    return res.status(400).json({ error: 'You cannot follow yourself.' });
+  }
+
+  try {
+    if (await isBlockedEitherWay(user._id, requested_user._id)) {
+      return res
+        .status(403)
+        .json({ error: 'You cannot follow this user due to a block.' });
+    }
+    if (requested_user.profile_is_archived) {
+      return res.status(410).json({ error: 'Profile is archived' });
+    }
+
+    const statusCode = await createFollow({
+      follower_id: user._id,
+      following_id: requested_user._id,
+      needs_approval: requested_user.profile_is_private,
+    });
+    if (statusCode === 201) {
+      res.status(201).json({ message: 'User followed successfully' });
+    } else if (statusCode === 202) {
+      res.status(202).json({ message: 'Follow request sent' });
+    } else {
+      res.status(200).json({
+        message: 'You already follow or requested to follow this user.',
+      });
+    }
+  } catch (error) {
+    console.error('Error following user:', error);
+    res.status(400).json({
+      error: 'Invalid request...',
+    });
+  }
+};
+
+export const unfollowUser = async (req, res) => {
+  const user = get(req, 'identity');
+  const requested_user = get(req, 'requested_user_identity');
+  try {
+    const statusCode = await delFollow({
+      follower_id: user._id,
+      following_id: requested_user._id,
+    });
+    if (statusCode === 200) {
+      res.status(200).json({ message: 'User unfollowed successfully' });
+    } else {
+      res.status(404).json({ message: 'You do not follow this user.' });
+    }
+  } catch (error) {
+    console.error('Error unfollowing user:', error);
+    res.status(400).json({
+      error: 'Invalid request...',
+    });
+  }
+};
+
+// Wording for the block and mute responses
+const BLOCK_MESSAGES = {
+  block: { done: 'blocked', verb: 'block' },
+  mute: { done: 'muted', verb: 'mute' },
+};
+
+const addBlock = (block_type) => async (req, res) => {
+  const user = get(req, 'identity');
+  const requested_user = get(req, 'requested_user_identity');
+  const { done, verb } = BLOCK_MESSAGES[block_type];
+
+  if (user._id.toString() === requested_user._id.toString()) {
+    return res.status(400).json({ error: `You cannot ${verb} yourself.` });
+  }
+
+  try {
+    const statusCode = await createBlock({
+      blocker_id: user._id,
+      blocked_id: requested_user._id,
+      block_type,
+    });
+
+    // Blocked users stop following each other
+    if (block_type === 'block') {
+      await delFollow({
+        follower_id: user._id,
+        following_id: requested_user._id,
+      });
+      await delFollow({
+        follower_id: requested_user._id,
+        following_id: user._id,
+      });
+    }
+
+    if (statusCode === 201) {
+      res.status(201).json({ message: `User ${done} successfully` });
+    } else {
+      res.status(200).json({ message: `You already ${done} this user.` });
+    }
+  } catch (error) {
+    console.error(`Error trying to ${verb} user:`, error);
+    res.status(400).json({
+      error: 'Invalid request...',
+    });
+  }
+};
+
+const removeBlock = (block_type) => async (req, res) => {
+  const user = get(req, 'identity');
+  const requested_user = get(req, 'requested_user_identity');
+  const { done, verb } = BLOCK_MESSAGES[block_type];
+
+  try {
+    const statusCode = await delBlock({
+      blocker_id: user._id,
+      blocked_id: requested_user._id,
+      block_type,
+    });
+    if (statusCode === 200) {
+      res.status(200).json({ message: `User un${done} successfully` });
+    } else {
+      res.status(404).json({ message: `You have not ${done} this user.` });
+    }
+  } catch (error) {
+    console.error(`Error trying to un${verb} user:`, error);
+    res.status(400).json({
+      error: 'Invalid request...',
+    });
+  }
+};
+
+const getBlockList = (block_type) => async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+    const blocks = await getBlocksForUser(user._id, block_type, page);
+    const users = blocks
+      .filter((block) => block.blocked_id)
+      .map((block) => formatFollowUser(block.blocked_id));
+    return res.status(200).json(users);
+  } catch (error) {
+    console.error(`Error fetching ${block_type} list:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const blockUser = addBlock('block');
+export const unblockUser = removeBlock('block');
+export const getBlockedList = getBlockList('block');
+export const muteUser = addBlock('mute');
+export const unmuteUser = removeBlock('mute');
+export const getMutedList = getBlockList('mute');
+
+// Shapes a populated user the same way getUsers does
+const formatFollowUser = (user) => ({
+  username: user.username,
+  first_name: user.user_info.first_name,
+  last_name: user.user_info.last_name,
+  profilePic: avatarUrl(user.username),
+});
+
+export const getFollowersList = async (req, res) => {
+  try {
+    const requested_user = get(req, 'requested_user_identity');
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+    const follows = await getFollowers(requested_user._id, page);
+    const followers = follows
+      .filter((follow) => follow.follower_id)
+      .map((follow) => formatFollowUser(follow.follower_id));
+    return res.status(200).json(followers);
+  } catch (error) {
+    console.error('Error fetching followers:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const getFollowingList = async (req, res) => {
+  try {
+    const requested_user = get(req, 'requested_user_identity');
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+    const follows = await getFollowing(requested_user._id, page);
+    const following = follows
+      .filter((follow) => follow.following_id)
+      .map((follow) => formatFollowUser(follow.following_id));
+    return res.status(200).json(following);
+  } catch (error) {
+    console.error('Error fetching following:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const setPrivacy = async (req, res) => {
+  const { is_private } = req.body;
+
+  if (typeof is_private !== 'boolean') {
+    return res.status(400).json({ error: 'is_private must be true or false' });
+  }
+
+  try {
+    const user = get(req, 'identity');
+    await setProfilePrivacy(user._id, is_private);
+    // Nobody is left waiting on an account that no longer needs approval
+    if (!is_private) {
+      await approveAllFollowRequests(user._id);
+    }
+    return res.status(200).json({ profile_is_private: is_private });
+  } catch (error) {
+    console.error('Error updating privacy:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const getFollowRequestsList = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+    const requests = await getFollowRequests(user._id, page);
+    const users = requests
+      .filter((follow) => follow.follower_id)
+      .map((follow) => ({
+        ...formatFollowUser(follow.follower_id),
+        requested_at: follow.follow_timestamp,
+      }));
+    return res.status(200).json(users);
+  } catch (error) {
+    console.error('Error fetching follow requests:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const approveFollower = async (req, res) => {
+  const user = get(req, 'identity');
+  const requested_user = get(req, 'requested_user_identity');
+  try {
+    const statusCode = await approveFollowRequest({
+      follower_id: requested_user._id,
+      following_id: user._id,
+    });
+    if (statusCode === 200) {
+      res.status(200).json({ message: 'Follow request approved' });
+    } else {
+      res.status(404).json({ message: 'No follow request from this user.' });
+    }
+  } catch (error) {
+    console.error('Error approving follow request:', error);
+    res.status(400).json({
+      error: 'Invalid request...',
+    });
+  }
+};
+
+export const denyFollower = async (req, res) => {
+  const user = get(req, 'identity');
+  const requested_user = get(req, 'requested_user_identity');
+  try {
+    const statusCode = await denyFollowRequest({
+      follower_id: requested_user._id,
+      following_id: user._id,
+    });
+    if (statusCode === 200) {
+      res.status(200).json({ message: 'Follow request denied' });
+    } else {
+      res.status(404).json({ message: 'No follow request from this user.' });
+    }
+  } catch (error) {
+    console.error('Error denying follow request:', error);
+    res.status(400).json({
+      error: 'Invalid request...',
+    });
+  }
+};
+
+// Most suggestions returned for one autocomplete request
+const AUTOCOMPLETE_LIMIT = 10;
+
+export const autocompleteUsernames = async (req, res) => {
+  try {
+    const { q } = req.query;
+    if (!q || typeof q !== 'string') {
+      return res
+        .status(400)
+        .json({ error: 'Username prefix (q) is required.' });
+    }
+    const users = await getUsersByUsernamePrefix(
+      q.replace(/^@/, ''),
+      AUTOCOMPLETE_LIMIT,
+      await getHiddenUserIds(get(req, 'identity')._id)
+    );
+    return res.status(200).json(
+      users.map((user) => ({
+        username: user.username,
+        first_name: user.user_info.first_name,
+        last_name: user.user_info.last_name,
+      }))
+    );
+  } catch (error) {
+    console.error('Error autocompleting usernames:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Size served when the client does not ask for one
+const DEFAULT_AVATAR_SIZE = 128;
+
+export const getAvatar = async (req, res) => {
+  try {
+    const requested_user = get(req, 'requested_user_identity');
+    const size = Number(req.query.size || DEFAULT_AVATAR_SIZE);
+    if (!AVATAR_SIZES.includes(size)) {
+      return res.status(400).json({
+        error: `Avatar size must be one of: ${AVATAR_SIZES.join(', ')}.`,
+      });
+    }
+
+    const avatar = await openAvatar(requested_user._id, size);
+    const etag = `"${avatar ? avatar.etag : 'default'}"`;
+
+    // Avatars can change at any time, so clients always revalidate
+    res.set({
+      'Cache-Control': 'private, no-cache',
+      ETag: etag,
+    });
+
+    if (req.headers['if-none-match'] === etag) {
+      avatar?.stream.destroy();
+      return res.sendStatus(304);
+    }
+
+    if (!avatar) {
+      return res.type('image/png').send(DEFAULT_AVATAR);
+    }
+
+    res.set({
+      'Content-Type': avatar.contentType,
+      'Content-Length': avatar.length,
+    });
+    avatar.stream.on('error', (error) => {
+      console.error('Error streaming avatar:', error);
+      res.destroy(error);
+    });
+    avatar.stream.pipe(res);
+  } catch (error) {
+    console.error('Error fetching avatar:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const changeEmail = async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email is required...' });
+  }
+
+  try {
+    const user = get(req, 'identity');
+
+    if (email === user.email) {
+      return res.status(400).json({ error: 'This is already your email...' });
+    }
+    const owner =
+      (await getUserByEmail(email)) || (await getUserByPendingEmail(email));
+    if (owner && owner._id.toString() !== user._id.toString()) {
+      return res.status(400).json({ error: 'Email is already in use...' });
+    }
+    if (verificationSentRecently(user)) {
+      return res.status(429).json({
+        error: 'Verification email sent recently, please try again later...',
+      });
+    }
+
+    // The current email stays in place until the new one is confirmed
+    await setPendingEmail(user._id, email);
+    await sendEmailVerification(user, email);
+
+    return res
+      .status(200)
+      .json({ message: 'Check the new address to confirm the change.' });
+  } catch (error) {
+    console.error('Error changing email: ', error);
+    return res.sendStatus(500);
+  }
+};
@@ -0,0 +1,422 @@
+import { ObjectId } from 'mongodb';
+
+import {
+  REPORT_REASONS,
+  REPORT_TARGET_TYPES,
+  REPORT_STATUSES,
+  REPORT_AUTO_HIDE_THRESHOLD,
+  addReport,
+  getReportQueue,
+  getReportsByReporter,
+  markReportAutoHidden,
+  resolveReport,
+} from '../db/reports.js';
+import {
+  getPostById,
+  getCommentById,
+  canViewPost,
+  archivePost as _archivePost,
+  unarchivePost as _unarchivePost,
+  hideComment,
+  unhideComment,
+} from '../db/posts.js';
+import { USER_ROLES, getUserById, suspendUser } from '../db/users.js';
+import { createAuditLogEntry } from '../db/auditLog.js';
+import { createModerationNotification } from '../db/notifications.js';
+import { closeUserSockets } from '../realtime/index.js';
+import pkg from 'lodash';
+const { get } = pkg;
+
+const MAX_DETAILS_LENGTH = 1000;
+
+// Finds the owner of a reported post, comment or user. Posts and comments
+// the reporter may not see are treated as missing.
+const getReportTarget = async (reporter, target_type, target_id) => {
+  if (target_type === 'post') {
+    const post = await getPostById(target_id);
+    if (!post || !(await canViewPost(reporter, post))) return null;
+    return { user_id: post.post_owner_id, post_id: post._id };
+  }
+  if (target_type === 'comment') {
+    const comment = await getCommentById(target_id);
+    if (!comment || comment.comment_is_deleted) return null;
+    const post = await getPostById(comment.post_id);
+    if (!post || !(await canViewPost(reporter, post))) return null;
+    return { user_id: comment.comment_owner_id, post_id: comment.post_id };
+  }
+  const user = await getUserById(target_id, false);
+  return user && { user_id: user._id, post_id: null };
+};
+
+// Archives the reported post or hides the reported comment. An auto-hide
+// leaves content that is already down alone and otherwise records that the
+// report took it down, so dismissing the report restores only what it hid.
+const hideTarget = async (report, auto_hide = false) => {
+  const by_report = auto_hide ? report._id : null;
+  if (report.report_target_type === 'post') {
+    const post = await getPostById(report.report_target_id);
+    if (post && !(auto_hide && post.post_is_archived)) {
+      await _archivePost(post, true, by_report);
+    }
+  } else if (report.report_target_type === 'comment') {
+    const comment = await getCommentById(report.report_target_id);
+    if (comment && !(auto_hide && comment.comment_is_hidden)) {
+      await hideComment(comment, by_report);
+    }
+  }
+};
+
+// Restores content the report's auto-hide took down, unless it has been
+// taken down for another reason since. Returns whether anything was restored.
+const unhideTarget = async (report) => {
+  if (report.report_target_type === 'post') {
+    const post = await getPostById(report.report_target_id);
+    if (!post?.post_archived_by_report?.equals(report._id)) return false;
+    await _unarchivePost(post);
+    return true;
+  }
+  if (report.report_target_type === 'comment') {
+    const comment = await getCommentById(report.report_target_id);
+    if (!comment?.comment_hidden_by_report?.equals(report._id)) return false;
+    await unhideComment(comment);
+    return true;
+  }
+  return false;
+};
+
+// Post and comment the notifications about a report link to
+const notificationTarget = (report) => {
+  if (report.report_target_type === 'post') {
+    return { post_id: report.report_target_id };
+  }
+  if (report.report_target_type === 'comment') {
+    return {
+      post_id: report.report_post_id,
+      comment_id: report.report_target_id,
+    };
+  }
+  return {};
+};
+
+const notifyAuthor = async (report, outcome) => {
+  return createModerationNotification({
+    recipient_id: report.report_target_user_id,
+    type: 'moderation',
+    report_id: report._id,
+    outcome,
+    ...notificationTarget(report),
+  });
+};
+
+const notifyReporters = async (report) => {
+  for (const entry of report.report_entries) {
+    await createModerationNotification({
+      recipient_id: entry.reporter_id,
+      type: 'report_resolved',
+      report_id: report._id,
+      outcome: report.report_status,
+      ...notificationTarget(report),
+    });
+  }
+};
+
+const formatQueueItem = (report) => {
+  const reasons = {};
+  for (const entry of report.report_entries) {
+    reasons[entry.reason] = (reasons[entry.reason] || 0) + 1;
+  }
+  return {
+    id: report._id,
+    target_type: report.report_target_type,
+    target_id: report.report_target_id,
+    post_id: report.report_post_id,
+    target_user: report.report_target_user_id
+      ? report.report_target_user_id.username
+      : null,
+    report_count: report.report_count,
+    reasons,
+    entries: report.report_entries.map((entry) => ({
+      reporter_id: entry.reporter_id,
+      reason: entry.reason,
+      details: entry.details,
+      timestamp: entry.timestamp,
+    })),
+    status: report.report_status,
+    auto_hidden: report.report_auto_hidden,
+    created_at: report.report_created_at,
+    updated_at: report.report_updated_at,
+    resolved_by: report.report_resolved_by
+      ? report.report_resolved_by.username
+      : null,
+    resolved_at: report.report_resolved_at,
+    resolution_note: report.report_resolution_note,
+  };
+};
+
+export const createReport = async (req, res) => {
+  const { target_type, target_id, reason, details } = req.body;
+
+  if (!REPORT_TARGET_TYPES.includes(target_type)) {
+    return res.status(400).json({
+      error: `target_type must be one of: ${REPORT_TARGET_TYPES.join(', ')}`,
+    });
+  }
+  if (!ObjectId.isValid(target_id)) {
+    return res.status(400).json({ error: 'Invalid target id' });
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({
+      error: `reason must be one of: ${REPORT_REASONS.join(', ')}`,
+    });
+  }
+  if (
+    details !== undefined &&
+    (typeof details !== 'string' || details.length > MAX_DETAILS_LENGTH)
+  ) {
+    return res.status(400).json({
+      error: `details must be text of at most ${MAX_DETAILS_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const user = get(req, 'identity');
+    const target = await getReportTarget(user, target_type, target_id);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Reported content does not exist' });
+    }
+    if (target.user_id.toString() === user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot report yourself' });
+    }
+
+    const report = await addReport({
+      target_type,
+      target_id,
+      target_user_id: target.user_id,
+      post_id: target_type === 'comment' ? target.post_id : null,
+      reporter_id: user._id,
+      reason,
+      details,
+    });
+
+    if (!report) {
+      return res.status(200).json({ message: 'Already reported' });
+    }
+
+    // Widely reported content is taken down until a moderator looks at it
+    if (
+      target_type !== 'user' &&
+      !report.report_auto_hidden &&
+      report.report_count >= REPORT_AUTO_HIDE_THRESHOLD
+    ) {
+      await hideTarget(report, true);
+      await markReportAutoHidden(report);
+      await notifyAuthor(report, 'hidden');
+    }
+
+    return res.status(201).json(report._id);
+  } catch (error) {
+    console.error('Error creating report:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const getMyReports = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+
+    const reports = await getReportsByReporter(user._id, page);
+
+    // Other reporters of the same target are not shown
+    const formattedReports = reports.map((report) => {
+      const entry = report.report_entries.find(
+        (entry) => entry.reporter_id.toString() === user._id.toString()
+      );
+      return {
+        id: report._id,
+        target_type: report.report_target_type,
+        target_id: report.report_target_id,
+        post_id: report.report_post_id,
+        reason: entry.reason,
+        details: entry.details,
+        timestamp: entry.timestamp,
+        status: report.report_status,
+        resolved_at: report.report_resolved_at,
+      };
+    });
+
+    return res.status(200).json(formattedReports);
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const getQueue = async (req, res) => {
+  try {
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+
+    const status = req.query.status || 'open';
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${REPORT_STATUSES.join(', ')}`,
+      });
+    }
+
+    const reports = await getReportQueue(page, status);
+
+    return res.status(200).json(reports.map(formatQueueItem));
+  } catch (error) {
+    console.error('Error fetching report queue:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const dismissReport = async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const user = get(req, 'identity');
+    const report = get(req, 'report_identity');
+
+    if (report.report_status !== 'open') {
+      return res.status(400).json({ error: 'Report is already resolved' });
+    }
+
+    if (report.report_auto_hidden && (await unhideTarget(report))) {
+      await notifyAuthor(report, 'restored');
+    }
+    await resolveReport(report, {
+      status: 'dismissed',
+      moderator_id: user._id,
+      note: reason,
+    });
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action: 'dismiss_report',
+      target_type: report.report_target_type,
+      target_id: report.report_target_id,
+      target_user_id: report.report_target_user_id,
+      reason,
+      details: { report_id: report._id },
+    });
+    await notifyReporters(report);
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error dismissing report:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const hideReportedContent = async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const user = get(req, 'identity');
+    const report = get(req, 'report_identity');
+
+    if (report.report_status !== 'open') {
+      return res.status(400).json({ error: 'Report is already resolved' });
+    }
+    if (report.report_target_type === 'user') {
+      return res
+        .status(400)
+        .json({ error: 'Profiles cannot be hidden, suspend the user instead' });
+    }
+
+    // Hidden again even when auto-hidden, so it now stays down on the
+    // moderator's decision; the author of auto-hidden content was already told
+    await hideTarget(report);
+    if (!report.report_auto_hidden) {
+      await notifyAuthor(report, 'hidden');
+    }
+    await resolveReport(report, {
+      status: 'hidden',
+      moderator_id: user._id,
+      note: reason,
+    });
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action:
+        report.report_target_type === 'post' ? 'archive_post' : 'hide_comment',
+      target_type: report.report_target_type,
+      target_id: report.report_target_id,
+      target_user_id: report.report_target_user_id,
+      reason,
+      details: { report_id: report._id },
+    });
+    await notifyReporters(report);
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error hiding reported content:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const suspendReportedUser = async (req, res) => {
+  const { reason, until } = req.body;
+
+  let suspended_until = null;
+  if (until !== undefined && until !== null) {
+    suspended_until = new Date(until);
+    if (isNaN(suspended_until.getTime()) || suspended_until <= new Date()) {
+      return res
+        .status(400)
+        .json({ error: 'until must be a date in the future' });
+    }
+  }
+
+  try {
+    const user = get(req, 'identity');
+    const report = get(req, 'report_identity');
+
+    if (report.report_status !== 'open') {
+      return res.status(400).json({ error: 'Report is already resolved' });
+    }
+
+    const target = await getUserById(report.report_target_user_id, false);
+    if (!target) {
+      return res.status(404).json({ error: 'User does not exist' });
+    }
+    if (USER_ROLES.indexOf(user.role) <= USER_ROLES.indexOf(target.role)) {
+      return res.status(403).json({ error: 'User does not have access' });
+    }
+
+    await suspendUser(target._id, reason, suspended_until);
+    closeUserSockets(target._id);
+    await resolveReport(report, {
+      status: 'suspended',
+      moderator_id: user._id,
+      note: reason,
+    });
+    await createAuditLogEntry({
+      actor_id: user._id,
+      action: 'suspend_user',
+      target_type: 'user',
+      target_id: target._id,
+      target_user_id: target._id,
+      reason,
+      details: { until: suspended_until, report_id: report._id },
+    });
+    await notifyAuthor(report, 'suspended');
+    await notifyReporters(report);
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error suspending reported user:', error);
+    return res.sendStatus(500);
+  }
+};
@@ -0,0 +1,72 @@
+import {
+  searchPosts,
+  searchComments,
+  visiblePostsFilter,
+} from '../db/posts.js';
+import { searchUsers, getReactionAndUserData } from '../db/users.js';
+import { getHiddenUserIds } from '../db/blocks.js';
+import { formatFeedPost, avatarUrl } from '../helpers/index.js';
+import pkg from 'lodash';
+const { get, merge } = pkg;
+
+const SEARCH_TYPES = ['all', 'posts', 'comments', 'users'];
+
+export const search = async (req, res) => {
+  try {
+    const { q, type = 'all' } = req.query;
+    const page = Number(req.query.page || 1);
+
+    if (!q || typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ error: 'Search query (q) is required.' });
+    }
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `Search type must be one of: ${SEARCH_TYPES.join(', ')}.`,
+      });
+    }
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+
+    const user = get(req, 'identity');
+    const hiddenUserIds = await getHiddenUserIds(user._id);
+    const visibility = await visiblePostsFilter(user._id);
+    const results = {};
+
+    if (type === 'all' || type === 'posts') {
+      const posts = await searchPosts(q, page, hiddenUserIds, visibility);
+      results.posts = posts
+        .filter((post) => post.post_owner_id)
+        .map(formatFeedPost);
+    }
+
+    if (type === 'all' || type === 'comments') {
+      const comments = await searchComments(q, page, hiddenUserIds, visibility);
+      const formattedComments = await getReactionAndUserData({
+        type: 'comments',
+        content: comments,
+      });
+      results.comments = formattedComments.map((comment, i) => ({
+        ...comment,
+        post_id: comments[i].post_id,
+      }));
+    }
+
+    if (type === 'all' || type === 'users') {
+      const users = await searchUsers(q, page, hiddenUserIds);
+      results.users = users.map((user) => ({
+        username: user.username,
+        first_name: user.user_info.first_name,
+        last_name: user.user_info.last_name,
+        profilePic: avatarUrl(user.username),
+      }));
+    }
+
+    return res.status(200).json(results);
+  } catch (error) {
+    console.error('Error searching:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,68 @@
+import { ObjectId } from 'mongodb';
+
+import {
+  getSessionsForUser,
+  delSession,
+  deleteOtherSessions,
+} from '../db/sessions.js';
+import { closeSessionSockets, closeUserSockets } from '../realtime/index.js';
+import pkg from 'lodash';
+const { get } = pkg;
+
+export const getSessions = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const current = get(req, 'session_identity');
+    const sessions = await getSessionsForUser(user._id);
+
+    const formattedSessions = sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.session_user_agent,
+      ip: session.session_ip,
+      createdAt: session.session_created_at,
+      lastSeenAt: session.session_last_seen_at,
+      expiresAt: session.session_expires_at,
+      isCurrent: session._id.toString() === current._id.toString(),
+    }));
+
+    return res.status(200).json(formattedSessions);
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const revokeSession = async (req, res) => {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid session id' });
+  }
+
+  try {
+    const user = get(req, 'identity');
+    const status = await delSession(id, user._id);
+
+    if (status === 404) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    closeSessionSockets(user._id, id);
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const user = get(req, 'identity');
+    const current = get(req, 'session_identity');
+    const { deletedCount } = await deleteOtherSessions(user._id, current._id);
+    closeUserSockets(user._id, current._id);
+    return res.status(200).json({ revoked: deletedCount });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    return res.sendStatus(500);
+  }
+};
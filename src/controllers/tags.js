@@ -0,0 +1,60 @@
+import {
+  getPostsByHashtag,
+  getTrendingHashtags,
+  visiblePostsFilter,
+} from '../db/posts.js';
+import { getHiddenUserIds } from '../db/blocks.js';
+import { formatFeedPost } from '../helpers/index.js';
+import pkg from 'lodash';
+const { get, merge } = pkg;
+
+// Default and largest trending window, in hours
+const DEFAULT_TRENDING_HOURS = 24;
+const MAX_TRENDING_HOURS = 7 * 24;
+const TRENDING_TAGS_LIMIT = 10;
+
+export const getTagTimeline = async (req, res) => {
+  try {
+    const tag = req.params.tag.replace(/^#/, '').toLowerCase();
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page <= 0) {
+      return res.status(400).json({
+        error: 'Page number must be integer greater than or equal to 1.',
+      });
+    }
+
+    const user = get(req, 'identity');
+    const posts = await getPostsByHashtag(
+      tag,
+      page,
+      await getHiddenUserIds(user._id),
+      await visiblePostsFilter(user._id)
+    );
+
+    return res
+      .status(200)
+      .json(posts.filter((post) => post.post_owner_id).map(formatFeedPost));
+  } catch (error) {
+    console.error('Error fetching tag timeline:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const getTrendingTags = async (req, res) => {
+  try {
+    const hours = Number(req.query.hours || DEFAULT_TRENDING_HOURS);
+    if (!Number.isInteger(hours) || hours <= 0 || hours > MAX_TRENDING_HOURS) {
+      return res.status(400).json({
+        error: `Hours must be an integer between 1 and ${MAX_TRENDING_HOURS}.`,
+      });
+    }
+
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const tags = await getTrendingHashtags(since, TRENDING_TAGS_LIMIT);
+
+    return res.status(200).json(tags);
+  } catch (error) {
+    console.error('Error fetching trending tags:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
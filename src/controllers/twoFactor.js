@@ -0,0 +1,127 @@
+import {
+  getUserWithTotp,
+  setPendingTotpSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  useTotpStep,
+  useRecoveryCode,
+} from '../db/users.js';
+import {
+  generateTotpSecret,
+  totpUri,
+  verifyTotp,
+  generateRecoveryCode,
+  hashToken,
+} from '../helpers/index.js';
+import pkg from 'lodash';
+const { get } = pkg;
+
+// Name the account is listed under in authenticator apps
+const TOTP_ISSUER = 'DuckPond';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Checks the second factor of a user with two-factor auth enabled: either a
+ * code from their authenticator app or one of their recovery codes. Either
+ * kind only works once.
+ *
+ * @param user - user loaded with getUserWithTotp
+ * @param code - what the user typed
+ *
+ * @returns whether the code was accepted
+ */
+export const verifySecondFactor = async (user, code) => {
+  if (!user.two_factor_enabled || typeof code !== 'string') return false;
+  code = code.trim().toLowerCase();
+
+  const step = verifyTotp(user.authentication.totp_secret, code);
+  if (step !== null) {
+    return useTotpStep(user._id, step);
+  }
+  return useRecoveryCode(user._id, hashToken(code));
+};
+
+export const enrollTwoFactor = async (req, res) => {
+  try {
+    const identity = get(req, 'identity');
+
+    if (identity.two_factor_enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled...',
+      });
+    }
+
+    const secret = generateTotpSecret();
+    await setPendingTotpSecret(identity._id, secret);
+
+    return res.status(200).json({
+      secret,
+      otpauth_uri: totpUri(secret, identity.email, TOTP_ISSUER),
+    });
+  } catch (error) {
+    console.error('Error enrolling two-factor authentication: ', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const confirmTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const identity = get(req, 'identity');
+    const user = await getUserWithTotp(identity._id);
+    const secret = user.authentication.totp_pending_secret;
+
+    if (user.two_factor_enabled || !secret) {
+      return res.status(400).json({
+        error: 'No two-factor enrollment in progress...',
+      });
+    }
+
+    if (verifyTotp(secret, code) === null) {
+      return res.status(400).json({
+        error: 'Invalid code...',
+      });
+    }
+
+    // Shown once; only their hashes are kept
+    const recovery_codes = Array.from(
+      { length: RECOVERY_CODE_COUNT },
+      generateRecoveryCode
+    );
+    await enableTwoFactor(user._id, secret, recovery_codes.map(hashToken));
+
+    return res.status(200).json({ recovery_codes });
+  } catch (error) {
+    console.error('Error confirming two-factor authentication: ', error);
+    return res.sendStatus(500);
+  }
+};
+
+export const removeTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const identity = get(req, 'identity');
+    const user = await getUserWithTotp(identity._id);
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled...',
+      });
+    }
+
+    if (!(await verifySecondFactor(user, code))) {
+      return res.status(400).json({
+        error: 'Invalid code...',
+      });
+    }
+
+    await disableTwoFactor(user._id);
+
+    return res.sendStatus(200);
+  } catch (error) {
+    console.error('Error disabling two-factor authentication: ', error);
+    return res.sendStatus(500);
+  }
+};
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+// What a personal access token can be allowed to do
+export const ACCESS_TOKEN_SCOPES = [
+  'posts:read',
+  'posts:write',
+  'profile:read',
+  'profile:write',
+  'messages:read',
+  'messages:write',
+  'notifications:read',
+  'notifications:write',
+  // Staff actions; the token owner still needs the moderator or admin role
+  'moderation',
+];
+
+// last_used is only written when it is at least this much out of date
+const LAST_USED_RESOLUTION = 60 * 1000; // 1 minute
+
+// Schema for a personal access token. Only a hash of the token is stored.
+const accessTokenSchema = new mongoose.Schema({
+  token_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  token_name: {
+    type: String,
+    required: true,
+  },
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  token_scopes: [
+    {
+      type: String,
+      enum: ACCESS_TOKEN_SCOPES,
+    },
+  ],
+  token_created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  token_last_used_at: {
+    type: Date,
+    default: null,
+  },
+  // null when the token never expires
+  token_expires_at: {
+    type: Date,
+    default: null,
+  },
+});
+
+accessTokenSchema.index({ token_user_id: 1, token_created_at: -1 });
+
+export const AccessTokenModel = mongoose.model(
+  'AccessToken',
+  accessTokenSchema
+);
+
+export const createAccessToken = async (values) => {
+  const { user_id, name, token_hash, scopes, expires_at } = values;
+  return AccessTokenModel.create({
+    token_user_id: user_id,
+    token_name: name,
+    token_hash,
+    token_scopes: scopes,
+    token_expires_at: expires_at || null,
+  });
+};
+
+/**
+ * Looks up a token by its hash and records that it was used.
+ *
+ * @returns the token, or null when it is unknown or expired
+ */
+export const getActiveAccessToken = async (token_hash) => {
+  const token = await AccessTokenModel.findOne({ token_hash });
+  if (!token) return null;
+
+  const now = Date.now();
+  if (token.token_expires_at && token.token_expires_at.getTime() <= now) {
+    return null;
+  }
+
+  if (
+    !token.token_last_used_at ||
+    token.token_last_used_at.getTime() + LAST_USED_RESOLUTION <= now
+  ) {
+    token.token_last_used_at = now;
+    await token.save();
+  }
+  return token;
+};
+
+export const getAccessTokensForUser = async (user_id) => {
+  return AccessTokenModel.find({ token_user_id: user_id }).sort({
+    token_created_at: -1,
+  });
+};
+
+export const delAccessToken = async (token_id, user_id) => {
+  const deletedToken = await AccessTokenModel.findOneAndDelete({
+    _id: token_id,
+    token_user_id: user_id,
+  });
+  if (!deletedToken) {
+    return 404; // no such token for this user
+  }
+  return 200;
+};
+
+export const deleteAllAccessTokens = async (user_id) => {
+  return AccessTokenModel.deleteMany({ token_user_id: user_id });
+};
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = [
+  'suspend_user',
+  'unsuspend_user',
+  'change_role',
+  'archive_post',
+  'unarchive_post',
+  'delete_post',
+  'delete_comment',
+  'hide_comment',
+  'dismiss_report',
+  'update_setting',
+];
+
+// Schema for a privileged action taken by a moderator or admin
+const auditLogSchema = new mongoose.Schema({
+  audit_actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  audit_action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true,
+  },
+  audit_target_type: {
+    type: String,
+    enum: ['user', 'post', 'comment', 'setting'],
+    required: true,
+  },
+  audit_target_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // Owner of the post or comment acted on, or the user themselves
+  audit_target_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  audit_reason: {
+    type: String,
+    required: true,
+  },
+  // Anything else worth keeping, e.g. the old and new role. Targets may be
+  // deleted, so whatever is needed to understand the entry later goes here.
+  audit_details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  audit_timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ audit_timestamp: -1 });
+auditLogSchema.index({ audit_target_user_id: 1, audit_timestamp: -1 });
+
+export const AuditLogModel = mongoose.model('AuditLog', auditLogSchema);
+
+const itemsToFetch = 5;
+
+export const createAuditLogEntry = async (values) => {
+  const { actor_id, action, target_type, target_id, target_user_id } = values;
+  return AuditLogModel({
+    audit_actor_id: actor_id,
+    audit_action: action,
+    audit_target_type: target_type,
+    audit_target_id: target_id,
+    audit_target_user_id: target_user_id || null,
+    audit_reason: values.reason,
+    audit_details: values.details || {},
+  }).save();
+};
+
+export const getAuditLog = async (page, filters) => {
+  const { action, actor_id, target_user_id } = filters;
+  const filter = {};
+  if (action) filter.audit_action = action;
+  if (actor_id) filter.audit_actor_id = actor_id;
+  if (target_user_id) filter.audit_target_user_id = target_user_id;
+
+  return AuditLogModel.find(filter)
+    .sort({ audit_timestamp: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .populate({ path: 'audit_actor_id', select: 'username' })
+    .populate({ path: 'audit_target_user_id', select: 'username' });
+};
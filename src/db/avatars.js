@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+import { UserModel } from './users.js';
+import { saveMedia, openMedia, deleteMedia } from '../storage/index.js';
+
+// Square sizes, in pixels, every avatar is re-encoded to
+export const AVATAR_SIZES = [64, 128, 512];
+
+// Largest avatar upload accepted, before re-encoding
+export const MAX_AVATAR_UPLOAD_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// Served to users who never uploaded an avatar
+export const DEFAULT_AVATAR = Buffer.from(
+  [
+    'iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAMAAACdt4HsAAAACXBIWXMAAA7EAAAOxAGVKw4b',
+    'AAAC6FBMVEVHcExPkNwAAAAJEBkDBgksUHpyp+dRk+Fro+Zxp+dyqOcgO1sBAgQAAAByp+cG',
+    'DBJIg8hNjNYVJztLiM8AAAAYLEQCBQh0qOdyp+cAAQJameMzXY5noeUMFiIaMEpameMPHCtH',
+    'gcZTk99upeZIg8kAAAAIEBpooeU4ZpxIg8gAAABzqOd0qOdwpudooeUAAAAyW4sAAAB0qOcv',
+    'VYJ0qOd0qOcKFB40Xo8AAABzqOd0qOdwpuZyqOdupeYlQ2Z0qOcCAwVMitMvVoMvVYNyqOcA',
+    'AAAAAAAAAAB0qOdyp+dMitMAAAB0qOdzp+cAAAByp+cCBQgAAAByp+dzqOc6aqIAAAEAAAA6',
+    'aqIHDhYQHCwPHCtPj9pro+ZhneRinuQjP2EQHS0OGylem+M1X5JdmuNpouVYmONYl+IhPV1i',
+    'nuRjnuQ9b6ooSW88bqgzXI0kQmVGgMNHgMRzqOd0qOcZLUVzqOd0qehzqOdzqOdxp+dzqOdy',
+    'p+d0qOdzqOdzqOZLh89zp+cBAwUCBQgBAwX///9SlOJCdrVem+RTlOJ0qOdUleJWluJamONt',
+    'pOZgnORKhs6Lt+pIg8hMitP4+vzv8/hRk+GJtutloOWWvu2Kt+u61PNkn+VameNZmONbmeP+',
+    '/v7i7fpspOagxO9yqOf+//+dwu6z0PL2+f3d6vns8/uGtOpHgMRpouZso+ZtlcVqo+ZHgcVu',
+    'peZ5nsp/os1xpufC2fRxp+dZh77X5vhOjtnj6/RIgsheltlQkNzr8vtrlMVNidFOjdjW4e/z',
+    '9vpKhcxGfsFulsawzO1Qkd5/qtxEd7VPjtpLh85ooeX3+v1rlcdPj9tNitSgutr9/v5PgLpz',
+    'mcjc5fH5+vxfnOSCsurT5PeEs+rS4/fL3/bn8PvK3vbm7/qXvu1gneRinuRTleJineS81fNb',
+    'muNEebrZ4/CLq9GMq9Lg6fPZ5PBEeLfg6POpwN1FeLdeisBfi8Cov9xDebpEe7xEerygdt79',
+    'AAAAhHRSTlMA9yxFCZoY/hgEYH0LFT1A4/Ji6h9qHt4sGv6nSAMInhafp0fiMgrmt+EwjN2E',
+    '9jOqJqeg9o4ysC6E5xJG7ImeNe6jorEBKhPsEu8QshIj8AIF9PC+Lw6/OlNV9pdub1kzM4xQ',
+    'i5eop1rc3XQjdFAjjo6YlmtJ/m9tjkjejxIS6S0UFBqBOXA9AAADkUlEQVRYw2NgGAW0BGxV',
+    'Fdr2Rkb22uWlbCRr5rQp1inr3Na7fs2a9b1bOst0imw4SbHb0qpz7eM5Xa1Q8GTO07WdVpbE',
+    'usPX1GTjI7hmGOjq22hSU0uMfi6P3uetWMG8Xg8ugtrrfLa1t+IE7Vt8fPHrlxA/29WKB3Sd',
+    'FW/Ap58vuK+VAOgL5sOjP2heK0EwLwinCRL+c9FVL1y1aiG62Fx/Cez6PavnoCmdtqAFCBbM',
+    'RBPuqfbEaoALevAvW9ICBkuWoUeGC9b4n46mbGkLHCxFk5qNJT1Y23agWbMcYcByNMd12Fpj',
+    'GFDZg2bLwxYkMAM9ICsx8o8eemDPQjZgFrqsHnrO0u1GV7IV2YCt6LLdumj5Xx0jwRxHNuA4',
+    'hrQ6avmg3IOh4iSyAScxpHuUUQyIwUyyB94g9L8/gCmfimJAFqaCE+cnw/RPPn8CUz4TWT+H',
+    'FJZc0391CkT/lKv9WKSlOJAMkOnAomLqxCuXrl2/fu3SlYlTsWVLGSQD4rDn3Enf2oDg+yTs',
+    'srFIBiThyPtTL1y8eGEqDskUJAPkW8kA8kgGpJFjQDqSAUpY5GfPmLVj37nLl8/t2/FsxnQs',
+    'CpSQDFDEkL15Zz5ySpx/6zaGEkUkAwrQ5G7cb8EAd9EL7EIkA3LRXP+gBQu4h+aPbCQD8lCz',
+    '6ooWrGAFapZPRjIgnx1ZZlELDrAIWRV7DpIBcirIBd5KXAasRE7xmnLIuUkaSWZxC06wGEmZ',
+    'NEp2zkCuTnAbMA1JWTyKAQrCCJkJuA2YgFAlrIBigCwrqQawyqKWqomMpBnAmIBWrKs5weX2',
+    'TMGlf8oeuCJnNfSaxcwLJndw/2Hs+g/vPwhT42iGUbWxcMNNP/LpJTb9bz8fgSvhZsGsXcXC',
+    '4dJn3r3aha591+uPZ+AKQsSwVO8BEQJwBaePth37cghRrB/6cKzt6Gm4tEBEALYGAk+kICKW',
+    'du5+0XZq+7pNmzdvWrf9VNvX3TsRcoKRPNjbOI1C0ci5Ze+k/okbVq/eMLF/0l5k8WihJlyt',
+    'LEkhQcJFoaBQM+52nmSUACH9AlGS+FqavPwh+PWH8/Pib+uGhXI74tbuxR0aRqi1HejH78yI',
+    'XTujE79fIBHtfW8mZtZ6TO3CrMxM3sT1OFzd3RxEDTSRykl2FQNRBzd3V+I7PTwiFvrMonbG',
+    '5hoa5sZ2Jcz6FmI8pPa7WHhFDJm0VFW1mAxFeFlGO7F4AADORa3iNYFJbAAAAABJRU5ErkJg',
+    'gg==',
+  ].join(''),
+  'base64'
+);
+
+// Schema for a user's avatar; each size lives in the media store
+const avatarSchema = new mongoose.Schema({
+  avatar_owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  // media id for each size in AVATAR_SIZES, keyed by the size
+  avatar_media: {
+    type: Map,
+    of: String,
+    required: true,
+  },
+  // Changes with every upload, so clients can revalidate with ETags
+  avatar_etag: {
+    type: String,
+    required: true,
+  },
+  avatar_timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export const AvatarModel = mongoose.model('Avatar', avatarSchema);
+
+/**
+ * Checks a buffer holds an image sharp can read.
+ */
+export const isValidAvatarImage = async (buffer) => {
+  if (buffer.length === 0 || buffer.length > MAX_AVATAR_UPLOAD_SIZE) {
+    return false;
+  }
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    return !!width && !!height;
+  } catch {
+    return false;
+  }
+};
+
+export const getAvatarByUserId = async (user_id) => {
+  return AvatarModel.findOne({ avatar_owner_id: user_id });
+};
+
+/**
+ * Re-encodes an uploaded image to every size in AVATAR_SIZES and makes it the
+ * user's avatar, removing the previous one.
+ */
+export const saveAvatar = async (user_id, buffer) => {
+  const avatar_media = {};
+  for (const size of AVATAR_SIZES) {
+    const resized = await sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: 'cover' })
+      .webp()
+      .toBuffer();
+    avatar_media[size] = await saveMedia(resized, {
+      filename: `avatar-${user_id}-${size}.webp`,
+      contentType: 'image/webp',
+    });
+  }
+
+  const previous = await AvatarModel.findOneAndUpdate(
+    { avatar_owner_id: user_id },
+    {
+      avatar_media,
+      avatar_etag: crypto.randomBytes(8).toString('hex'),
+      avatar_timestamp: Date.now(),
+    },
+    { upsert: true }
+  );
+  if (previous) {
+    for (const media_id of previous.avatar_media.values()) {
+      await deleteMedia(media_id);
+    }
+  }
+};
+
+/**
+ * Opens the stored image of one size of a user's avatar.
+ *
+ * @returns { stream, contentType, length, etag }, or null when the user has no
+ * avatar
+ */
+export const openAvatar = async (user_id, size) => {
+  const avatar = await getAvatarByUserId(user_id);
+  if (!avatar) return null;
+  const media = await openMedia(avatar.avatar_media.get(String(size)));
+  if (!media) return null;
+  return { ...media, etag: `${avatar.avatar_etag}-${size}` };
+};
+
+export const deleteAvatar = async (user_id) => {
+  const avatar = await AvatarModel.findOneAndDelete({
+    avatar_owner_id: user_id,
+  });
+  if (avatar) {
+    for (const media_id of avatar.avatar_media.values()) {
+      await deleteMedia(media_id);
+    }
+  }
+};
+
+/**
+ * Moves profile pictures stored as a Buffer on the user document into the
+ * avatar store. Users still holding the old hard-coded default get no avatar
+ * and fall back to DEFAULT_AVATAR.
+ */
+export const migrateLegacyProfilePictures = async () => {
+  const users = UserModel.collection.find(
+    { 'user_info.profile_picture': { $exists: true } },
+    { projection: { 'user_info.profile_picture': 1 } }
+  );
+  for await (const user of users) {
+    const picture = user.user_info.profile_picture;
+    const buffer = Buffer.from(picture?.buffer ?? picture ?? []);
+    if (!buffer.equals(DEFAULT_AVATAR) && (await isValidAvatarImage(buffer))) {
+      await saveAvatar(user._id, buffer);
+    }
+    await UserModel.collection.updateOne(
+      { _id: user._id },
+      { $unset: { 'user_info.profile_picture': '' } }
+    );
+  }
+};
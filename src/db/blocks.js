@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+// block: the two users can't see or interact with each other's content
+// mute: the muted user's posts are left out of the muter's feed
+export const BLOCK_TYPES = ['block', 'mute'];
+
+// Schema for a block or mute: blocker_id blocks or mutes blocked_id
+const blockSchema = new mongoose.Schema({
+  blocker_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  blocked_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  block_type: {
+    type: String,
+    enum: BLOCK_TYPES,
+    required: true,
+  },
+  block_timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+blockSchema.index(
+  { blocker_id: 1, block_type: 1, blocked_id: 1 },
+  { unique: true }
+);
+blockSchema.index({ blocked_id: 1, block_type: 1 });
+
+export const BlockModel = mongoose.model('Block', blockSchema);
+
+const itemsToFetch = 5;
+
+export const createBlock = async (values) => {
+  const { blocker_id, blocked_id, block_type } = values;
+  if (await BlockModel.exists({ blocker_id, blocked_id, block_type })) {
+    return 200; // already blocked/muted
+  }
+  await BlockModel.create({ blocker_id, blocked_id, block_type });
+  return 201;
+};
+
+export const delBlock = async (values) => {
+  const { blocker_id, blocked_id, block_type } = values;
+  const deletedBlock = await BlockModel.findOneAndDelete({
+    blocker_id,
+    blocked_id,
+    block_type,
+  });
+  if (!deletedBlock) {
+    return 404; // not blocked/muted
+  }
+  return 200;
+};
+
+// Whether either user blocked the other
+export const isBlockedEitherWay = async (user_id, other_id) => {
+  const block = await BlockModel.exists({
+    block_type: 'block',
+    $or: [
+      { blocker_id: user_id, blocked_id: other_id },
+      { blocker_id: other_id, blocked_id: user_id },
+    ],
+  });
+  return !!block;
+};
+
+export const getBlocksForUser = async (user_id, block_type, page) => {
+  return BlockModel.find({ blocker_id: user_id, block_type })
+    .sort({ block_timestamp: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .populate({
+      path: 'blocked_id',
+      select: 'username user_info.first_name user_info.last_name',
+    });
+};
+
+/**
+ * Ids of the users whose content should be kept from a user: everyone they
+ * blocked or who blocked them, plus the users they muted when `includeMuted`
+ * is set.
+ */
+export const getHiddenUserIds = async (user_id, includeMuted) => {
+  const blocks = await BlockModel.find({
+    $or: [
+      {
+        blocker_id: user_id,
+        block_type: { $in: includeMuted ? BLOCK_TYPES : ['block'] },
+      },
+      { blocked_id: user_id, block_type: 'block' },
+    ],
+  }).select('blocker_id blocked_id');
+  return blocks.map((block) =>
+    block.blocker_id.toString() === user_id.toString()
+      ? block.blocked_id
+      : block.blocker_id
+  );
+};
+
+export const deleteAllBlocks = async (user_id) => {
+  return BlockModel.deleteMany({
+    $or: [{ blocker_id: user_id }, { blocked_id: user_id }],
+  });
+};
@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+
+// pending: a request to follow a private account, waiting for its approval
+export const FOLLOW_STATUSES = ['accepted', 'pending'];
+
+// Follows made before private accounts existed have no status and count as
+// accepted
+const ACCEPTED = { follow_status: { $ne: 'pending' } };
+
+// Schema for a follow relationship: follower_id follows following_id
+const followSchema = new mongoose.Schema({
+  follower_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  following_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  follow_status: {
+    type: String,
+    enum: FOLLOW_STATUSES,
+    default: 'accepted',
+  },
+  follow_timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+followSchema.index({ follower_id: 1, following_id: 1 }, { unique: true });
+followSchema.index({ following_id: 1, follow_timestamp: -1 });
+
+export const FollowModel = mongoose.model('Follow', followSchema);
+
+const itemsToFetch = 5;
+
+export const isFollowing = async (follower_id, following_id) => {
+  const follow = await FollowModel.exists({
+    follower_id,
+    following_id,
+    ...ACCEPTED,
+  });
+  return !!follow;
+};
+
+// 'accepted', 'pending', or null when there is neither a follow nor a request
+export const getFollowStatus = async (follower_id, following_id) => {
+  const follow = await FollowModel.findOne({ follower_id, following_id });
+  if (!follow) return null;
+  return follow.follow_status || 'accepted';
+};
+
+/**
+ * Follows a user, or asks to when `needs_approval` is set because the account
+ * is private.
+ */
+export const createFollow = async (values) => {
+  const { follower_id, following_id, needs_approval } = values;
+  if (await FollowModel.exists({ follower_id, following_id })) {
+    return 200; // already following or requested
+  }
+  await FollowModel.create({
+    follower_id,
+    following_id,
+    follow_status: needs_approval ? 'pending' : 'accepted',
+  });
+  return needs_approval ? 202 : 201; // request sent / new follow created
+};
+
+export const delFollow = async (values) => {
+  const { follower_id, following_id } = values;
+  const deletedFollow = await FollowModel.findOneAndDelete({
+    follower_id,
+    following_id,
+  });
+  if (!deletedFollow) {
+    return 404; // not following
+  }
+  return 200; // unfollowed successfully
+};
+
+export const getFollowers = async (user_id, page) => {
+  return FollowModel.find({ following_id: user_id, ...ACCEPTED })
+    .sort({ follow_timestamp: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .populate({
+      path: 'follower_id',
+      select: 'username user_info.first_name user_info.last_name',
+    });
+};
+
+export const getFollowing = async (user_id, page) => {
+  return FollowModel.find({ follower_id: user_id, ...ACCEPTED })
+    .sort({ follow_timestamp: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .populate({
+      path: 'following_id',
+      select: 'username user_info.first_name user_info.last_name',
+    });
+};
+
+export const getFollowingIds = async (user_id) => {
+  const follows = await FollowModel.find({
+    follower_id: user_id,
+    ...ACCEPTED,
+  }).select('following_id');
+  return follows.map((follow) => follow.following_id);
+};
+
+export const getFollowerIds = async (user_id) => {
+  const follows = await FollowModel.find({
+    following_id: user_id,
+    ...ACCEPTED,
+  }).select('follower_id');
+  return follows.map((follow) => follow.follower_id);
+};
+
+export const getFollowCounts = async (user_id) => {
+  const followers = await FollowModel.countDocuments({
+    following_id: user_id,
+    ...ACCEPTED,
+  });
+  const following = await FollowModel.countDocuments({
+    follower_id: user_id,
+    ...ACCEPTED,
+  });
+  return { followers, following };
+};
+
+export const getFollowRequests = async (user_id, page) => {
+  return FollowModel.find({ following_id: user_id, follow_status: 'pending' })
+    .sort({ follow_timestamp: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .populate({
+      path: 'follower_id',
+      select: 'username user_info.first_name user_info.last_name',
+    });
+};
+
+export const approveFollowRequest = async (values) => {
+  const { follower_id, following_id } = values;
+  const follow = await FollowModel.findOneAndUpdate(
+    { follower_id, following_id, follow_status: 'pending' },
+    { follow_status: 'accepted', follow_timestamp: Date.now() }
+  );
+  if (!follow) {
+    return 404; // no such request
+  }
+  return 200;
+};
+
+export const denyFollowRequest = async (values) => {
+  const { follower_id, following_id } = values;
+  const follow = await FollowModel.findOneAndDelete({
+    follower_id,
+    following_id,
+    follow_status: 'pending',
+  });
+  if (!follow) {
+    return 404; // no such request
+  }
+  return 200;
+};
+
+// A private account going public lets everyone waiting in
+export const approveAllFollowRequests = async (user_id) => {
+  return FollowModel.updateMany(
+    { following_id: user_id, follow_status: 'pending' },
+    { follow_status: 'accepted', follow_timestamp: Date.now() }
+  );
+};
+
+export const deleteAllFollows = async (user_id) => {
+  return FollowModel.deleteMany({
+    $or: [{ follower_id: user_id }, { following_id: user_id }],
+  });
+};
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// How long the password step of a two-factor login stays valid
+export const LOGIN_CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Schema for a login that passed the password check and waits for a second
+// factor. Only a hash of the token is stored.
+const loginChallengeSchema = new mongoose.Schema({
+  challenge_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  challenge_token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  challenge_expires_at: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB drop expired challenges by itself
+loginChallengeSchema.index(
+  { challenge_expires_at: 1 },
+  { expireAfterSeconds: 0 }
+);
+
+export const LoginChallengeModel = mongoose.model(
+  'LoginChallenge',
+  loginChallengeSchema
+);
+
+/**
+ * Stores a new challenge token for a user whose password was just checked.
+ */
+export const createLoginChallenge = async (user_id, challenge_token_hash) => {
+  return LoginChallengeModel.create({
+    challenge_user_id: user_id,
+    challenge_token_hash,
+    challenge_expires_at: new Date(Date.now() + LOGIN_CHALLENGE_TTL),
+  });
+};
+
+/**
+ * Uses up a challenge token: it is removed whether or not the code that comes
+ * with it turns out to be right.
+ *
+ * @returns the id of the user the token belongs to, or null when the token is
+ * unknown or expired
+ */
+export const consumeLoginChallenge = async (challenge_token_hash) => {
+  const challenge = await LoginChallengeModel.findOneAndDelete({
+    challenge_token_hash,
+  });
+  if (!challenge || challenge.challenge_expires_at < new Date()) return null;
+  return challenge.challenge_user_id;
+};
+
+export const deleteAllLoginChallenges = async (user_id) => {
+  return LoginChallengeModel.deleteMany({ challenge_user_id: user_id });
+};
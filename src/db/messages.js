@@ -0,0 +1,221 @@
+import mongoose from 'mongoose';
+
+// Largest number of people (including the creator) in a group conversation
+export const MAX_CONVERSATION_PARTICIPANTS = 10;
+
+// Schema for a participant of a conversation, with their read marker
+const participantSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Everything sent up to this point has been read by the participant
+    last_read_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Schema for a 1:1 or group conversation
+const conversationSchema = new mongoose.Schema({
+  conversation_participants: {
+    type: [participantSchema],
+    required: true,
+  },
+  conversation_is_group: {
+    type: Boolean,
+    default: false,
+  },
+  conversation_name: {
+    type: String,
+  },
+  conversation_created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  conversation_timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  conversation_last_message_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+conversationSchema.index({
+  'conversation_participants.user_id': 1,
+  conversation_last_message_at: -1,
+});
+
+export const ConversationModel = mongoose.model(
+  'Conversation',
+  conversationSchema
+);
+
+// Schema for a message sent in a conversation
+const messageSchema = new mongoose.Schema({
+  conversation_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+  },
+  message_sender_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  message_content: {
+    type: String,
+    required: true,
+  },
+  message_timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  message_edited_at: {
+    type: Date,
+    default: null,
+  },
+  message_is_deleted: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+messageSchema.index({ conversation_id: 1, message_timestamp: -1 });
+
+export const MessageModel = mongoose.model('Message', messageSchema);
+
+const itemsToFetch = 5;
+
+export const getConversationById = async (id) => {
+  return ConversationModel.findById(id);
+};
+
+// Returns the existing 1:1 conversation between two users, if any
+export const getDirectConversation = async (user_id, other_user_id) => {
+  return ConversationModel.findOne({
+    conversation_is_group: false,
+    'conversation_participants.user_id': { $all: [user_id, other_user_id] },
+  });
+};
+
+export const createNewConversation = async (values) => {
+  const { created_by, participant_ids, name } = values;
+  return ConversationModel({
+    conversation_participants: participant_ids.map((user_id) => ({
+      user_id,
+    })),
+    conversation_is_group: participant_ids.length > 2,
+    conversation_name: name,
+    conversation_created_by: created_by,
+  }).save();
+};
+
+export const getConversationsForUser = async (user_id, page) => {
+  return ConversationModel.find({
+    'conversation_participants.user_id': user_id,
+  })
+    .sort({ conversation_last_message_at: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .populate({
+      path: 'conversation_participants.user_id',
+      select: 'username user_info.first_name user_info.last_name',
+    });
+};
+
+const getLastReadAt = (conversation, user_id) => {
+  const participant = conversation.conversation_participants.find(
+    (p) => (p.user_id._id || p.user_id).toString() === user_id.toString()
+  );
+  return participant ? participant.last_read_at : new Date(0);
+};
+
+export const getUnreadCount = async (conversation, user_id) => {
+  return MessageModel.countDocuments({
+    conversation_id: conversation._id,
+    message_sender_id: { $ne: user_id },
+    message_is_deleted: false,
+    message_timestamp: { $gt: getLastReadAt(conversation, user_id) },
+  });
+};
+
+export const getTotalUnreadCount = async (user_id) => {
+  const conversations = await ConversationModel.find({
+    'conversation_participants.user_id': user_id,
+  });
+  let total = 0;
+  for (const conversation of conversations) {
+    total += await getUnreadCount(conversation, user_id);
+  }
+  return total;
+};
+
+export const markConversationRead = async (conversation_id, user_id) => {
+  return ConversationModel.updateOne(
+    { _id: conversation_id, 'conversation_participants.user_id': user_id },
+    { $set: { 'conversation_participants.$.last_read_at': Date.now() } }
+  );
+};
+
+export const createNewMessage = async (values) => {
+  const newMessage = await MessageModel(values).save();
+
+  await ConversationModel.findByIdAndUpdate(values.conversation_id, {
+    conversation_last_message_at: newMessage.message_timestamp,
+  });
+  // Sending a message means the sender has read the conversation
+  await markConversationRead(values.conversation_id, values.message_sender_id);
+
+  return newMessage;
+};
+
+export const getMessagesForConversation = async (conversation_id, page) => {
+  return MessageModel.find({ conversation_id })
+    .sort({ message_timestamp: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .populate({
+      path: 'message_sender_id',
+      select: 'username',
+    });
+};
+
+export const getMessageById = async (id) => {
+  return MessageModel.findById(id);
+};
+
+export const messageUpdate = async (message, message_content) => {
+  message.message_content = message_content;
+  message.message_edited_at = Date.now();
+  return message.save();
+};
+
+// Messages are kept as a placeholder so the conversation history stays intact
+export const delMessage = async (message) => {
+  message.message_content = '[deleted]';
+  message.message_is_deleted = true;
+  return message.save();
+};
+
+export const deleteAllMessages = async (user_id) => {
+  await MessageModel.deleteMany({ message_sender_id: user_id });
+  await ConversationModel.updateMany(
+    { 'conversation_participants.user_id': user_id },
+    { $pull: { conversation_participants: { user_id } } }
+  );
+  // Conversations nobody is left in are no longer reachable
+  const emptyConversations = await ConversationModel.find({
+    conversation_participants: { $size: 0 },
+  }).select('_id');
+  const emptyIds = emptyConversations.map((conversation) => conversation._id);
+  await MessageModel.deleteMany({ conversation_id: { $in: emptyIds } });
+  await ConversationModel.deleteMany({ _id: { $in: emptyIds } });
+};
@@ -0,0 +1,238 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = [
+  'comment',
+  'reply',
+  'like',
+  // Outcome of a report, sent to the reporters
+  'report_resolved',
+  // Sent to users whose content or account a moderator acted on
+  'moderation',
+];
+
+// Schema for a notification shown in a user's inbox
+const notificationSchema = new mongoose.Schema({
+  notification_recipient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  notification_type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true,
+  },
+  // Users who caused the notification, most recent first. Likes on the same
+  // target are grouped, so this can hold many users.
+  notification_actor_ids: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
+  notification_actor_count: {
+    type: Number,
+    default: 1,
+  },
+  // Always set except for moderation of a user account
+  notification_post_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null,
+  },
+  // The new comment for comment/reply notifications, the liked comment for
+  // likes on a comment
+  notification_comment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  // Report queue item and what was done about it, for report_resolved and
+  // moderation notifications
+  notification_report_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null,
+  },
+  notification_outcome: {
+    type: String,
+    default: null,
+  },
+  notification_is_read: {
+    type: Boolean,
+    default: false,
+  },
+  notification_timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+notificationSchema.index({
+  notification_recipient_id: 1,
+  notification_timestamp: -1,
+});
+
+export const NotificationModel = mongoose.model(
+  'Notification',
+  notificationSchema
+);
+
+const itemsToFetch = 5;
+
+export const createNewNotification = async (values) => {
+  const { recipient_id, actor_id, type, post_id, comment_id } = values;
+  if (recipient_id.toString() === actor_id.toString()) {
+    return null; // nobody is notified about their own activity
+  }
+  return NotificationModel({
+    notification_recipient_id: recipient_id,
+    notification_type: type,
+    notification_actor_ids: [actor_id],
+    notification_post_id: post_id,
+    notification_comment_id: comment_id || null,
+  }).save();
+};
+
+/**
+ * Tells a user about a moderation outcome. These come from no other user, so
+ * they have no actors.
+ */
+export const createModerationNotification = async (values) => {
+  const { recipient_id, type, report_id, outcome, post_id, comment_id } =
+    values;
+  return NotificationModel({
+    notification_recipient_id: recipient_id,
+    notification_type: type,
+    notification_actor_ids: [],
+    notification_actor_count: 0,
+    notification_post_id: post_id || null,
+    notification_comment_id: comment_id || null,
+    notification_report_id: report_id,
+    notification_outcome: outcome,
+  }).save();
+};
+
+/**
+ * Records a like, grouping it into the existing like notification for the
+ * same post or comment. The grouped notification becomes unread again and
+ * moves to the top of the inbox.
+ */
+export const addLikeNotification = async (values) => {
+  const { recipient_id, actor_id, post_id, comment_id } = values;
+  if (recipient_id.toString() === actor_id.toString()) {
+    return null;
+  }
+  const existing = await NotificationModel.findOne({
+    notification_recipient_id: recipient_id,
+    notification_type: 'like',
+    notification_post_id: post_id,
+    notification_comment_id: comment_id || null,
+  });
+  if (!existing) {
+    return createNewNotification({ ...values, type: 'like' });
+  }
+  existing.notification_actor_ids = [
+    actor_id,
+    ...existing.notification_actor_ids.filter(
+      (id) => id.toString() !== actor_id.toString()
+    ),
+  ];
+  existing.notification_actor_count = existing.notification_actor_ids.length;
+  existing.notification_is_read = false;
+  existing.notification_timestamp = Date.now();
+  return existing.save();
+};
+
+// Takes a user back out of a grouped like notification
+export const removeLikeNotification = async (values) => {
+  const { recipient_id, actor_id, post_id, comment_id } = values;
+  const notification = await NotificationModel.findOneAndUpdate(
+    {
+      notification_recipient_id: recipient_id,
+      notification_type: 'like',
+      notification_post_id: post_id,
+      notification_comment_id: comment_id || null,
+    },
+    { $pull: { notification_actor_ids: actor_id } },
+    { new: true }
+  );
+  if (!notification) return;
+  if (notification.notification_actor_ids.length === 0) {
+    await NotificationModel.deleteOne({ _id: notification._id });
+  } else {
+    notification.notification_actor_count =
+      notification.notification_actor_ids.length;
+    await notification.save();
+  }
+};
+
+export const getNotificationById = async (id) => {
+  return NotificationModel.findById(id);
+};
+
+export const getNotificationsForUser = async (user_id, page, unreadOnly) => {
+  const filter = { notification_recipient_id: user_id };
+  if (unreadOnly) filter.notification_is_read = false;
+  return NotificationModel.find(filter)
+    .sort({ notification_timestamp: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .slice('notification_actor_ids', 2)
+    .populate({
+      path: 'notification_actor_ids',
+      select: 'username',
+    });
+};
+
+export const getUnreadNotificationCount = async (user_id) => {
+  return NotificationModel.countDocuments({
+    notification_recipient_id: user_id,
+    notification_is_read: false,
+  });
+};
+
+export const markNotificationRead = async (notification) => {
+  notification.notification_is_read = true;
+  return notification.save();
+};
+
+export const markAllNotificationsRead = async (user_id) => {
+  return NotificationModel.updateMany(
+    { notification_recipient_id: user_id, notification_is_read: false },
+    { notification_is_read: true }
+  );
+};
+
+export const deleteNotificationsForPost = async (post_id) => {
+  return NotificationModel.deleteMany({ notification_post_id: post_id });
+};
+
+export const deleteNotificationsForComment = async (comment_id) => {
+  return NotificationModel.deleteMany({ notification_comment_id: comment_id });
+};
+
+export const deleteAllNotifications = async (user_id) => {
+  await NotificationModel.deleteMany({ notification_recipient_id: user_id });
+  const actor_id = new mongoose.Types.ObjectId(user_id);
+  await NotificationModel.updateMany({ notification_actor_ids: actor_id }, [
+    {
+      $set: {
+        notification_actor_ids: {
+          $filter: {
+            input: '$notification_actor_ids',
+            cond: { $ne: ['$$this', actor_id] },
+          },
+        },
+      },
+    },
+    {
+      $set: { notification_actor_count: { $size: '$notification_actor_ids' } },
+    },
+  ]);
+  // Moderation notifications never had actors and stay
+  await NotificationModel.deleteMany({
+    notification_actor_count: 0,
+    notification_type: { $in: ['comment', 'reply', 'like'] },
+  });
+};
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// How long a reset link stays valid
+export const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+
+// Schema for a password reset request. Only a hash of the token is stored.
+const passwordResetSchema = new mongoose.Schema({
+  reset_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reset_token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  reset_expires_at: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB drop expired requests by itself
+passwordResetSchema.index({ reset_expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const PasswordResetModel = mongoose.model(
+  'PasswordReset',
+  passwordResetSchema
+);
+
+/**
+ * Stores a new reset token for a user, replacing any earlier one.
+ */
+export const createPasswordReset = async (user_id, reset_token_hash) => {
+  await PasswordResetModel.deleteMany({ reset_user_id: user_id });
+  return PasswordResetModel.create({
+    reset_user_id: user_id,
+    reset_token_hash,
+    reset_expires_at: new Date(Date.now() + RESET_TOKEN_TTL),
+  });
+};
+
+/**
+ * Uses up a reset token: it is removed whether or not it was still valid.
+ *
+ * @returns the id of the user the token belongs to, or null when the token is
+ * unknown or expired
+ */
+export const consumePasswordReset = async (reset_token_hash) => {
+  const reset = await PasswordResetModel.findOneAndDelete({
+    reset_token_hash,
+  });
+  if (!reset || reset.reset_expires_at < new Date()) return null;
+  await PasswordResetModel.deleteMany({ reset_user_id: reset.reset_user_id });
+  return reset.reset_user_id;
+};
+
+export const deleteAllPasswordResets = async (user_id) => {
+  return PasswordResetModel.deleteMany({ reset_user_id: user_id });
+};
@@ -1,5 +1,63 @@
 import mongoose from 'mongoose';
-import {UserModel} from './users.js';
+import { UserModel, USER_ROLES } from './users.js';
+import { isFollowing, getFollowingIds } from './follows.js';
+import { isBlockedEitherWay } from './blocks.js';
+import {
+  createNewNotification,
+  addLikeNotification,
+  removeLikeNotification,
+  deleteNotificationsForPost,
+  deleteNotificationsForComment,
+} from './notifications.js';
+import { extractHashtags } from '../helpers/index.js';
+import { deleteMedia } from '../storage/index.js';
+
+// Who can see a post besides its owner: everyone, approved followers only,
+// or nobody
+export const POST_VISIBILITIES = ['public', 'followers', 'only_me'];
+
+// Reactions a user can leave on a post or comment
+export const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'angry'];
+
+// Per-type reaction counters, e.g. { like: 3, love: 1, ... }
+const reactionCountsDefinition = () =>
+  Object.fromEntries(
+    REACTION_TYPES.map((type) => [type, { type: Number, default: 0 }])
+  );
+
+// An @username in a post or comment, resolved to the user it points at.
+// start/end are character offsets of the "@username" text in the content.
+const mentionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    username: { type: String, required: true },
+    start: { type: Number, required: true },
+    end: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// An image or video attached to a post; the file itself lives in the media
+// store under media_id
+const mediaSchema = new mongoose.Schema(
+  {
+    media_id: { type: String, required: true },
+    media_type: { type: String, enum: ['image', 'video'], required: true },
+    content_type: { type: String, required: true },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    size: { type: Number },
+  },
+  { _id: false, toJSON: { virtuals: true }, id: false }
+);
+
+mediaSchema.virtual('url').get(function () {
+  return `/media/${this.media_id}`;
+});
 
 const postSchema = new mongoose.Schema({
   post_owner_id: {
@@ -11,6 +69,19 @@ const postSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Lowercased #hashtags found in post_content, kept in sync on every edit
+  post_hashtags: {
+    type: [String],
+    default: [],
+  },
+  post_mentions: {
+    type: [mentionSchema],
+    default: [],
+  },
+  post_media: {
+    type: [mediaSchema],
+    default: [],
+  },
   post_timestamp: {
     type: Date,
     default: Date.now,
@@ -20,49 +91,379 @@ const postSchema = new mongoose.Schema({
     default: false,
     select: false,
   },
+  // Set when a moderator took the post down; its owner cannot restore it
+  post_archived_by_moderator: {
+    type: Boolean,
+    default: false,
+    select: false,
+  },
+  // Report whose auto-hide archived the post, while that is the only reason
+  // it is archived
+  post_archived_by_report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null,
+    select: false,
+  },
+  post_visibility: {
+    type: String,
+    enum: POST_VISIBILITIES,
+    default: 'public',
+  },
+  // Copies of the owner's profile_is_private and profile_is_archived, so lists
+  // can be filtered by visibility without looking up every owner
+  post_owner_is_private: {
+    type: Boolean,
+    default: false,
+  },
+  post_owner_is_archived: {
+    type: Boolean,
+    default: false,
+  },
+  // Total number of reactions of any type
   post_like_count: {
     type: Number,
     default: 0,
   },
+  post_reaction_counts: reactionCountsDefinition(),
   post_comment_count: {
     type: Number,
     default: 0,
   },
+  // Last time post_content changed; null for posts never edited
+  post_edited_at: {
+    type: Date,
+    default: null,
+  },
+  post_revision_count: {
+    type: Number,
+    default: 0,
+  },
 });
 
+postSchema.index({ post_content: 'text' });
+postSchema.index({ post_hashtags: 1, post_timestamp: -1 });
+postSchema.index({ 'post_mentions.user_id': 1, post_timestamp: -1 });
+
 export const PostsModel = mongoose.model('Post', postSchema);
 
+// Schema for an earlier version of a post's content, saved when it is edited
+const postRevisionSchema = new mongoose.Schema({
+  revision_post_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  // 1 for the content the post was created with
+  revision_number: {
+    type: Number,
+    required: true,
+  },
+  revision_content: {
+    type: String,
+    required: true,
+  },
+  // When this version was written
+  revision_timestamp: {
+    type: Date,
+    required: true,
+  },
+  // When it was replaced by an edit
+  revision_replaced_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+postRevisionSchema.index({ revision_post_id: 1, revision_timestamp: -1 });
+
+export const PostRevisionModel = mongoose.model(
+  'PostRevision',
+  postRevisionSchema
+);
+
 export const getPostById = async (id) => {
-  return PostsModel.findById(id);
+  return PostsModel.findById(id).select(
+    '+post_is_archived +post_archived_by_moderator +post_archived_by_report'
+  );
 };
 
-export const getPostsByUserId = async (user_id, page) => {
-  return PostsModel.find({ post_owner_id: user_id })
-    .skip((page - 1) * itemsToFetch)
-    .limit(itemsToFetch);
+/**
+ * Sorts a query by `field` then _id and applies the requested pagination:
+ * a page number, or { cursor, limit } where one extra item is fetched so
+ * splitCursorPage can tell whether there is a next page.
+ */
+const paginate = (query, page, field, direction = -1) => {
+  query.sort({ [field]: direction, _id: direction });
+  if (typeof page === 'number') {
+    return query.skip((page - 1) * itemsToFetch).limit(itemsToFetch);
+  }
+  const { cursor, limit } = page;
+  if (cursor) {
+    const op = direction === -1 ? '$lt' : '$gt';
+    query.and([
+      {
+        $or: [
+          { [field]: { [op]: cursor.timestamp } },
+          { [field]: cursor.timestamp, _id: { [op]: cursor.id } },
+        ],
+      },
+    ]);
+  }
+  return query.limit(limit + 1);
+};
+
+/**
+ * Query conditions for the posts a user may find in lists: their own,
+ * everything but only_me posts of the accounts they follow, and public posts
+ * of public accounts. Posts from before visibility existed have none and are
+ * public. Archived posts and posts of archived accounts are left out for
+ * everyone; owners find theirs through getArchivedPostsByUserId.
+ */
+export const visiblePostsFilter = async (viewer_id) => {
+  const followingIds = await getFollowingIds(viewer_id);
+  return {
+    post_is_archived: { $ne: true },
+    $or: [
+      { post_owner_id: viewer_id },
+      {
+        post_owner_id: { $in: followingIds },
+        post_owner_is_archived: { $ne: true },
+        post_visibility: { $ne: 'only_me' },
+      },
+      {
+        post_owner_is_private: { $ne: true },
+        post_owner_is_archived: { $ne: true },
+        post_visibility: { $nin: ['followers', 'only_me'] },
+      },
+    ],
+  };
+};
+
+// Aggregation stages keeping only the comments whose post matches postFilter
+const onPostsMatching = (postFilter) => [
+  {
+    $lookup: {
+      from: PostsModel.collection.name,
+      localField: 'post_id',
+      foreignField: '_id',
+      pipeline: [{ $match: postFilter }, { $project: { _id: 1 } }],
+      as: 'matching_post',
+    },
+  },
+  { $match: { 'matching_post.0': { $exists: true } } },
+  { $project: { matching_post: 0 } },
+];
+
+// Aggregation stages leaving out the comments of archived profiles
+const byActiveOwners = () => [
+  {
+    $lookup: {
+      from: UserModel.collection.name,
+      localField: 'comment_owner_id',
+      foreignField: '_id',
+      pipeline: [
+        { $match: { profile_is_archived: { $ne: true } } },
+        { $project: { _id: 1 } },
+      ],
+      as: 'active_owner',
+    },
+  },
+  { $match: { 'active_owner.0': { $exists: true } } },
+  { $project: { active_owner: 0 } },
+];
+
+// Copies an owner's privacy and archive flags onto all of their posts
+export const syncPostOwnerFlags = async (owner) => {
+  return PostsModel.updateMany(
+    { post_owner_id: owner._id },
+    {
+      post_owner_is_private: !!owner.profile_is_private,
+      post_owner_is_archived: !!owner.profile_is_archived,
+    }
+  );
+};
+
+/**
+ * Sets the owner flags on the posts of private and archived accounts made
+ * before the flags were kept on posts.
+ */
+export const migrateLegacyPostOwnerFlags = async () => {
+  const owners = UserModel.find({
+    $or: [{ profile_is_private: true }, { profile_is_archived: true }],
+  })
+    .select('profile_is_private profile_is_archived')
+    .cursor();
+  for await (const owner of owners) {
+    await syncPostOwnerFlags(owner);
+  }
+};
+
+// Whether the post or its owner's profile is archived
+export const isPostArchived = async (post) => {
+  if (post.post_is_archived) return true;
+  const owner_id = post.post_owner_id._id || post.post_owner_id;
+  const ownerIsArchived = await UserModel.exists({
+    _id: owner_id,
+    profile_is_archived: true,
+  });
+  return !!ownerIsArchived;
+};
+
+/**
+ * What a user may see of a single post, by the same rules as
+ * visiblePostsFilter: 'visible', 'blocked' when the user and the owner blocked
+ * each other, 'hidden' when its visibility leaves the user out, or 'archived'.
+ * Owners always get 'visible' so their own archive can be managed, and so do
+ * moderators with no block between them so reported posts can be reviewed.
+ */
+export const getPostAccess = async (viewer, post) => {
+  const owner_id = post.post_owner_id._id || post.post_owner_id;
+  if (owner_id.toString() === viewer._id.toString()) return 'visible';
+  if (await isBlockedEitherWay(viewer._id, owner_id)) return 'blocked';
+  if (USER_ROLES.indexOf(viewer.role) >= USER_ROLES.indexOf('moderator')) {
+    return 'visible';
+  }
+  const owner = await UserModel.findById(owner_id).select(
+    'profile_is_private profile_is_archived'
+  );
+  if (!owner || post.post_visibility === 'only_me') return 'hidden';
+  if (
+    (post.post_visibility === 'followers' || owner.profile_is_private) &&
+    !(await isFollowing(viewer._id, owner_id))
+  ) {
+    return 'hidden';
+  }
+  if (post.post_is_archived || owner.profile_is_archived) return 'archived';
+  return 'visible';
+};
+
+export const canViewPost = async (viewer, post) => {
+  return (await getPostAccess(viewer, post)) === 'visible';
+};
+
+export const getPostByMediaId = async (media_id) => {
+  return PostsModel.findOne({ 'post_media.media_id': media_id }).select(
+    '+post_is_archived'
+  );
+};
+
+export const getPostsByUserId = async (user_id, page, visibility) => {
+  return paginate(
+    PostsModel.find({ post_owner_id: user_id, ...visibility }),
+    page,
+    'post_timestamp'
+  );
+};
+
+export const getArchivedPostsByUserId = async (user_id, page) => {
+  return paginate(
+    PostsModel.find({ post_owner_id: user_id, post_is_archived: true }).select(
+      '+post_is_archived +post_archived_by_moderator'
+    ),
+    page,
+    'post_timestamp'
+  );
 };
 
 export const createNewPost = async (values) => {
-  return PostsModel(values).save();
+  const owner = await UserModel.findById(values.post_owner_id).select(
+    'profile_is_private profile_is_archived'
+  );
+  return PostsModel({
+    ...values,
+    post_owner_is_private: !!owner?.profile_is_private,
+    post_owner_is_archived: !!owner?.profile_is_archived,
+  }).save();
 };
 
-export const archivePost = async (post) => {
+// Posts archived by a moderator stay archived until a moderator restores them
+export const archivePost = async (
+  post,
+  by_moderator = false,
+  by_report = null
+) => {
   post.post_is_archived = true;
+  post.post_archived_by_moderator =
+    post.post_archived_by_moderator || by_moderator;
+  // Archiving again for any other reason keeps the post archived when the
+  // report is dismissed
+  post.post_archived_by_report = by_report;
   return post.save();
 };
 
 export const unarchivePost = async (post) => {
   post.post_is_archived = false;
+  post.post_archived_by_moderator = false;
+  post.post_archived_by_report = null;
   return post.save();
 };
 
-export const postUpdate = async (id, values) => {
-  return PostsModel.findByIdAndUpdate(id, values);
+// Restores every post the owner archived themselves
+export const unarchiveAllPosts = async (user_id) => {
+  const result = await PostsModel.updateMany(
+    {
+      post_owner_id: user_id,
+      post_is_archived: true,
+      post_archived_by_moderator: { $ne: true },
+    },
+    { post_is_archived: false }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Updates a post. When post_content changes the current content is kept as a
+ * revision first and the post is marked as edited.
+ *
+ * @returns the updated post
+ */
+export const postUpdate = async (post, values) => {
+  const update = { ...values };
+  if (
+    values.post_content !== undefined &&
+    values.post_content !== post.post_content
+  ) {
+    await PostRevisionModel.create({
+      revision_post_id: post._id,
+      revision_number: (post.post_revision_count || 0) + 1,
+      revision_content: post.post_content,
+      revision_timestamp: post.post_edited_at || post.post_timestamp,
+    });
+    update.post_edited_at = Date.now();
+    update.$inc = { post_revision_count: 1 };
+  }
+  return PostsModel.findByIdAndUpdate(post._id, update, { new: true });
+};
+
+export const getPostRevisions = async (post_id, page) => {
+  return paginate(
+    PostRevisionModel.find({ revision_post_id: post_id }),
+    page,
+    'revision_timestamp'
+  );
+};
+
+export const getPostRevisionById = async (id, post_id) => {
+  return PostRevisionModel.findOne({ _id: id, revision_post_id: post_id });
+};
+
+// Removes the stored files attached to the given posts
+const deletePostMedia = async (posts) => {
+  for (const post of posts) {
+    for (const media of post.post_media || []) {
+      await deleteMedia(media.media_id);
+    }
+  }
 };
 
 export const delPost = async (id) => {
+  await deletePostMedia(await PostsModel.find({ _id: id }));
   await CommentModel.deleteMany({ post_id: id });
   await LikeModel.deleteMany({ post_id: id });
+  await PostRevisionModel.deleteMany({ revision_post_id: id });
+  await CommentRevisionModel.deleteMany({ revision_post_id: id });
+  await deleteNotificationsForPost(id);
   return PostsModel.findByIdAndDelete(id);
 };
 
@@ -82,22 +483,132 @@ const commentSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  comment_mentions: {
+    type: [mentionSchema],
+    default: [],
+  },
   comment_timestamp: {
     type: Date,
     default: Date.now,
   },
+  // Comment being replied to; null for top-level comments
+  parent_comment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  comment_reply_count: {
+    type: Number,
+    default: 0,
+  },
+  comment_like_count: {
+    type: Number,
+    default: 0,
+  },
+  comment_reaction_counts: reactionCountsDefinition(),
+  // Deleted comments that still have replies are kept as a placeholder
+  comment_is_deleted: {
+    type: Boolean,
+    default: false,
+  },
+  // Hidden by moderation; kept in place like a deleted comment
+  comment_is_hidden: {
+    type: Boolean,
+    default: false,
+  },
+  // Report whose auto-hide hid the comment
+  comment_hidden_by_report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null,
+  },
+  // Last time comment_content was edited; null for comments never edited
+  comment_edited_at: {
+    type: Date,
+    default: null,
+  },
 });
 
+commentSchema.index({ post_id: 1, parent_comment_id: 1, comment_timestamp: 1 });
+commentSchema.index({ comment_content: 'text' });
+commentSchema.index({ 'comment_mentions.user_id': 1, comment_timestamp: -1 });
+
 export const CommentModel = mongoose.model('Comment', commentSchema);
 
+// Schema for an earlier version of a comment's content, saved when it is
+// edited
+const commentRevisionSchema = new mongoose.Schema({
+  revision_comment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    required: true,
+  },
+  // Kept so a post's comment history goes when the post does
+  revision_post_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  revision_content: {
+    type: String,
+    required: true,
+  },
+  // When this version was written
+  revision_timestamp: {
+    type: Date,
+    required: true,
+  },
+  // When it was replaced by an edit
+  revision_replaced_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+commentRevisionSchema.index({ revision_comment_id: 1, revision_timestamp: -1 });
+commentRevisionSchema.index({ revision_post_id: 1 });
+
+export const CommentRevisionModel = mongoose.model(
+  'CommentRevision',
+  commentRevisionSchema
+);
+
 export const createNewComment = async (values) => {
   try {
     const newComment = await CommentModel(values).save();
 
-    await PostsModel.findByIdAndUpdate(values.post_id, {
+    const post = await PostsModel.findByIdAndUpdate(values.post_id, {
       $inc: { post_comment_count: 1 },
     });
 
+    let parent = null;
+    if (values.parent_comment_id) {
+      parent = await CommentModel.findByIdAndUpdate(values.parent_comment_id, {
+        $inc: { comment_reply_count: 1 },
+      });
+      await createNewNotification({
+        recipient_id: parent.comment_owner_id,
+        actor_id: values.comment_owner_id,
+        type: 'reply',
+        post_id: values.post_id,
+        comment_id: newComment._id,
+      });
+    }
+
+    // The reply notification already covers a post owner replied to directly
+    if (
+      !parent ||
+      parent.comment_owner_id.toString() !== post.post_owner_id.toString()
+    ) {
+      await createNewNotification({
+        recipient_id: post.post_owner_id,
+        actor_id: values.comment_owner_id,
+        type: 'comment',
+        post_id: values.post_id,
+        comment_id: newComment._id,
+      });
+    }
+
     return newComment;
   } catch (error) {
     console.error('Error creating comment:', error);
@@ -105,21 +616,92 @@ export const createNewComment = async (values) => {
   }
 };
 
+// Removes a reply from its parent, dropping a "[deleted]" parent once it has
+// no replies left
+const detachReply = async (parent_comment_id) => {
+  const parent = await CommentModel.findByIdAndUpdate(
+    parent_comment_id,
+    { $inc: { comment_reply_count: -1 } },
+    { new: true }
+  );
+  if (parent && parent.comment_is_deleted && parent.comment_reply_count <= 0) {
+    await CommentModel.deleteOne({ _id: parent._id });
+    await LikeModel.deleteMany({ comment_id: parent._id });
+    await deleteNotificationsForComment(parent._id);
+    if (parent.parent_comment_id) {
+      await detachReply(parent.parent_comment_id);
+    }
+  }
+};
+
+/**
+ * Deletes a comment. A comment with replies is replaced by a "[deleted]"
+ * placeholder so the thread stays intact; otherwise it is removed. Either way
+ * it stops counting towards post_comment_count.
+ */
 export const delComment = async (id) => {
   try {
-    const deletedComment = await CommentModel.findOneAndDelete({ _id: id });
-    if (deletedComment) {
-      await PostsModel.findByIdAndUpdate(deletedComment.post_id, {
-        $inc: { post_comment_count: -1 },
-      });
+    const comment = await CommentModel.findById(id);
+    if (!comment || comment.comment_is_deleted) {
+      return comment;
+    }
+
+    // Earlier versions go with the content
+    await CommentRevisionModel.deleteMany({ revision_comment_id: comment._id });
+    if (comment.comment_reply_count > 0) {
+      comment.comment_content = '[deleted]';
+      comment.comment_is_deleted = true;
+      await comment.save();
+    } else {
+      await CommentModel.deleteOne({ _id: comment._id });
+      await LikeModel.deleteMany({ comment_id: comment._id });
+      if (comment.parent_comment_id) {
+        await detachReply(comment.parent_comment_id);
+      }
     }
-    return deletedComment;
+    await deleteNotificationsForComment(comment._id);
+
+    await PostsModel.findByIdAndUpdate(comment.post_id, {
+      $inc: { post_comment_count: -1 },
+    });
+    return comment;
   } catch (error) {
     console.error('Error deleting comment:', error);
     throw error;
   }
 };
 
+/**
+ * Changes a comment's content, keeping the current content as a revision.
+ *
+ * @returns the updated comment
+ */
+export const commentUpdate = async (comment, values) => {
+  await CommentRevisionModel.create({
+    revision_comment_id: comment._id,
+    revision_post_id: comment.post_id,
+    revision_content: comment.comment_content,
+    revision_timestamp: comment.comment_edited_at || comment.comment_timestamp,
+  });
+  return CommentModel.findByIdAndUpdate(
+    comment._id,
+    { ...values, comment_edited_at: Date.now() },
+    { new: true }
+  );
+};
+
+export const hideComment = async (comment, by_report = null) => {
+  comment.comment_is_hidden = true;
+  comment.comment_hidden_by_report = by_report;
+  return comment.save();
+};
+
+export const unhideComment = async (comment) => {
+  comment.comment_is_hidden = false;
+  comment.comment_hidden_by_report = null;
+  return comment.save();
+};
+
 export const getCommentById = async (id) => {
   return CommentModel.findById(id);
 };
@@ -127,47 +709,133 @@ export const getCommentById = async (id) => {
 const itemsToFetch = 5;
 
 export const getCommentsForPost = async (postId, page) => {
-  return CommentModel.find({ post_id: postId })
-    .skip((page - 1) * itemsToFetch)
-    .limit(itemsToFetch);
+  return paginate(
+    CommentModel.find({ post_id: postId, parent_comment_id: null }),
+    page,
+    'comment_timestamp',
+    1
+  );
 };
 
-// schema for creating like
+export const getRepliesForComment = async (commentId, page) => {
+  return paginate(
+    CommentModel.find({ parent_comment_id: commentId }),
+    page,
+    'comment_timestamp',
+    1
+  );
+};
+
+// schema for creating like (any reaction type) on a post or one of its comments
 const likeSchema = new mongoose.Schema({
   post_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post',
     required: true,
   },
+  // Set when the reaction targets a comment rather than the post itself
+  comment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
   like_owner_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
   },
+  like_type: {
+    type: String,
+    enum: REACTION_TYPES,
+    default: 'like',
+  },
   like_timestamp: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Built by migrateLegacyLikes once older duplicate likes are gone, since a
+// unique index cannot be created over them
+likeSchema.set('autoIndex', false);
+likeSchema.index(
+  { post_id: 1, comment_id: 1, like_owner_id: 1 },
+  { unique: true }
+);
+
 export const LikeModel = mongoose.model('Like', likeSchema);
 
+// Applies a change to the total and per-type reaction counters of a target
+const incReactionCounts = async (post_id, comment_id, counts) => {
+  const prefix = comment_id ? 'comment' : 'post';
+  const $inc = {};
+  for (const [type, amount] of Object.entries(counts)) {
+    $inc[`${prefix}_reaction_counts.${type}`] = amount;
+    $inc[`${prefix}_like_count`] = ($inc[`${prefix}_like_count`] || 0) + amount;
+  }
+  if (comment_id) {
+    return CommentModel.findByIdAndUpdate(comment_id, { $inc });
+  }
+  return PostsModel.findByIdAndUpdate(post_id, { $inc });
+};
+
+// Whoever should be notified about reactions on the post or comment
+const getReactionTargetOwner = async (post_id, comment_id) => {
+  if (comment_id) {
+    const comment = await CommentModel.findById(comment_id);
+    return comment && comment.comment_owner_id;
+  }
+  const post = await PostsModel.findById(post_id);
+  return post && post.post_owner_id;
+};
+
 export const createNewLike = async (values) => {
   const { post_id, like_owner_id } = values;
+  const comment_id = values.comment_id || null;
+  const like_type = values.like_type || 'like';
   const existingLike = await LikeModel.findOne({
     post_id,
+    comment_id,
     like_owner_id,
   });
   if (existingLike) {
-    return 200; // already liked
-  }
-  const post = await PostsModel.findById(values.post_id);
-  post.post_like_count += 1;
-  await post.save();
-  await LikeModel.create({
-    post_id: values.post_id,
-    like_owner_id: values.like_owner_id,
-  });
+    if (existingLike.like_type === like_type) {
+      return 204; // already reacted with this type, nothing changed
+    }
+    // switch the reaction to the new type
+    await incReactionCounts(post_id, comment_id, {
+      [existingLike.like_type]: -1,
+      [like_type]: 1,
+    });
+    existingLike.like_type = like_type;
+    existingLike.like_timestamp = Date.now();
+    await existingLike.save();
+    return 200; // reaction updated
+  }
+  try {
+    await LikeModel.create({
+      post_id,
+      comment_id,
+      like_owner_id,
+      like_type,
+    });
+  } catch (error) {
+    // a concurrent request already stored this reaction
+    if (error.code === 11000) {
+      return 204;
+    }
+    throw error;
+  }
+  await incReactionCounts(post_id, comment_id, { [like_type]: 1 });
+  const recipient_id = await getReactionTargetOwner(post_id, comment_id);
+  if (recipient_id) {
+    await addLikeNotification({
+      recipient_id,
+      actor_id: like_owner_id,
+      post_id,
+      comment_id,
+    });
+  }
   return 201; // new like created
 };
 
@@ -175,31 +843,34 @@ export const deleteAllPosts = async (id) => {
   let commentList = [];
   let likeList = [];
   try {
-    commentList = await CommentModel.find({ comment_owner_id: id });
-    commentList.forEach(async comment => {
-      await PostsModel.findByIdAndUpdate(comment.post_id, {
-        $inc: { post_comment_count: -1 },
-      });
+    commentList = await CommentModel.find({
+      comment_owner_id: id,
+      comment_is_deleted: false,
     });
+    // Go through delComment so threads under these comments stay consistent
+    for (const comment of commentList) {
+      await delComment(comment._id);
+    }
     likeList = await LikeModel.find({ like_owner_id: id });
-    likeList.forEach(async like => {
-      await PostsModel.findByIdAndUpdate(like.post_id, {
-        $inc: { post_like_count: -1 },
-      });
+    for (const like of likeList) {
+      await delLike(like);
+    }
+    const posts = await PostsModel.find({ post_owner_id: id });
+    await deletePostMedia(posts);
+    await PostRevisionModel.deleteMany({
+      revision_post_id: { $in: posts.map((post) => post._id) },
     });
     await PostsModel.deleteMany({ post_owner_id: id });
-    await CommentModel.deleteMany({ comment_owner_id: id });
-    await LikeModel.deleteMany({ like_owner_id: id });
   } catch (error) {
     console.error('Error deleting posts and comments', error);
     throw error;
   }
 };
 
-export const getPostLikes = async (postId, page) => {
-  return LikeModel.find({ post_id: postId })
-    .skip((page - 1) * itemsToFetch)
-    .limit(itemsToFetch);
+export const getPostLikes = async (postId, page, like_type, commentId) => {
+  const filter = { post_id: postId, comment_id: commentId || null };
+  if (like_type) filter.like_type = like_type;
+  return paginate(LikeModel.find(filter), page, 'like_timestamp');
 };
 
 export const getLikeById = async (id) => {
@@ -208,34 +879,310 @@ export const getLikeById = async (id) => {
 
 export const delLike = async (values) => {
   const { post_id, like_owner_id } = values;
+  const comment_id = values.comment_id || null;
   const existingLike = await LikeModel.findOne({
     post_id,
+    comment_id,
     like_owner_id,
   });
   if (!existingLike) {
     return 404; // like not found
   }
-  const post = await PostsModel.findById(values.post_id);
-  post.post_like_count -= 1;
-  await post.save();
+  await incReactionCounts(post_id, comment_id, {
+    [existingLike.like_type]: -1,
+  });
   await LikeModel.deleteOne({ _id: existingLike._id });
+  const recipient_id = await getReactionTargetOwner(post_id, comment_id);
+  if (recipient_id) {
+    await removeLikeNotification({
+      recipient_id,
+      actor_id: like_owner_id,
+      post_id,
+      comment_id,
+    });
+  }
   return 200; // like deleted successfully
 };
 
-export const fetchPosts = async (page) => {
+// Recomputes the counters of a post or comment from its stored reactions
+const recountReactions = async (post_id, comment_id) => {
+  const counts = Object.fromEntries(REACTION_TYPES.map((type) => [type, 0]));
+  const groups = await LikeModel.aggregate([
+    { $match: { post_id, comment_id } },
+    { $group: { _id: '$like_type', count: { $sum: 1 } } },
+  ]);
+  let total = 0;
+  for (const { _id: type, count } of groups) {
+    counts[type] = count;
+    total += count;
+  }
+  if (comment_id) {
+    return CommentModel.updateOne(
+      { _id: comment_id },
+      { comment_reaction_counts: counts, comment_like_count: total }
+    );
+  }
+  return PostsModel.updateOne(
+    { _id: post_id },
+    { post_reaction_counts: counts, post_like_count: total }
+  );
+};
+
+// Likes used to be checked and inserted separately, so a user could end up
+// with several on the same target. Keeps the latest one and fixes the counters
+// the copies were added to.
+const removeDuplicateLikes = async () => {
+  const duplicates = await LikeModel.aggregate([
+    { $sort: { like_timestamp: -1, _id: -1 } },
+    {
+      $group: {
+        _id: {
+          post_id: '$post_id',
+          comment_id: { $ifNull: ['$comment_id', null] },
+          like_owner_id: '$like_owner_id',
+        },
+        like_ids: { $push: '$_id' },
+      },
+    },
+    { $match: { 'like_ids.1': { $exists: true } } },
+  ]).allowDiskUse(true);
+  const targets = new Map();
+  for (const { _id: key, like_ids } of duplicates) {
+    await LikeModel.deleteMany({ _id: { $in: like_ids.slice(1) } });
+    targets.set(`${key.post_id}:${key.comment_id}`, key);
+  }
+  for (const { post_id, comment_id } of targets.values()) {
+    await recountReactions(post_id, comment_id);
+  }
+};
+
+/**
+ * Brings likes created before reaction types existed up to date: they become
+ * "like" reactions and the per-type counters are seeded from the totals.
+ * Duplicate likes are then removed so the unique like index can be built.
+ */
+export const migrateLegacyLikes = async () => {
+  await LikeModel.updateMany(
+    { like_type: { $exists: false } },
+    { $set: { like_type: 'like', comment_id: null } }
+  );
+  const emptyCounts = Object.fromEntries(
+    REACTION_TYPES.map((type) => [type, 0])
+  );
+  await PostsModel.updateMany(
+    { 'post_reaction_counts.like': { $exists: false } },
+    [
+      {
+        $set: {
+          post_reaction_counts: { ...emptyCounts, like: '$post_like_count' },
+        },
+      },
+    ]
+  );
+  await removeDuplicateLikes();
+  await LikeModel.createIndexes();
+};
+
+// Indexes the hashtags of posts written before hashtags were tracked
+export const migrateLegacyHashtags = async () => {
+  const posts = PostsModel.find({ post_hashtags: { $exists: false } })
+    .select('post_content')
+    .cursor();
+  for await (const post of posts) {
+    await PostsModel.updateOne(
+      { _id: post._id },
+      { post_hashtags: extractHashtags(post.post_content) }
+    );
+  }
+};
+
+export const fetchPosts = async (
+  page,
+  ownerIds,
+  excludedOwnerIds = [],
+  visibility = {}
+) => {
   try {
+    // Restrict to the given owners when a following feed is requested
+    const filter = ownerIds ? { post_owner_id: { $in: ownerIds } } : {};
+    // Leave out blocked and muted accounts
+    if (excludedOwnerIds.length > 0) {
+      filter.post_owner_id = {
+        ...filter.post_owner_id,
+        $nin: excludedOwnerIds,
+      };
+    }
     // Fetch the posts sorted by post_timestamp in descending order
-    const posts = await PostsModel.find()
-      .skip((page - 1) * itemsToFetch)
-      .limit(itemsToFetch)
-      .sort({ post_timestamp: -1 }) // -1 for descending order
-      .populate({
-        path: 'post_owner_id',
-        select: 'username user_info.profile_picture', // Use the correct field name
-      });
+    const posts = await paginate(
+      PostsModel.find({ ...filter, ...visibility }),
+      page,
+      'post_timestamp'
+    ).populate({
+      path: 'post_owner_id',
+      select: 'username', // Use the correct field name
+    });
     return posts;
   } catch (error) {
     console.error('Error fetching posts:', error);
     throw error;
   }
 };
+
+/**
+ * Full-text search over post_content, best matches first. Archived posts,
+ * posts by the given (archived) owners and posts outside `visibility` are
+ * left out.
+ */
+export const searchPosts = async (
+  query,
+  page,
+  excludedOwnerIds,
+  visibility
+) => {
+  return PostsModel.find(
+    {
+      $text: { $search: query },
+      post_is_archived: { $ne: true },
+      post_owner_id: { $nin: excludedOwnerIds },
+      ...visibility,
+    },
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' }, post_timestamp: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .populate({
+      path: 'post_owner_id',
+      select: 'username',
+    });
+};
+
+/**
+ * Full-text search over comment_content, best matches first. Deleted
+ * comments, comments by the given owners or archived profiles and comments
+ * under archived posts or posts outside `visibility` are left out.
+ */
+export const searchComments = async (
+  query,
+  page,
+  excludedOwnerIds,
+  visibility
+) => {
+  return CommentModel.aggregate([
+    {
+      $match: {
+        $text: { $search: query },
+        comment_is_deleted: { $ne: true },
+        comment_is_hidden: { $ne: true },
+        comment_owner_id: { $nin: excludedOwnerIds },
+      },
+    },
+    { $sort: { score: { $meta: 'textScore' }, comment_timestamp: -1 } },
+    ...byActiveOwners(),
+    ...onPostsMatching({
+      ...visibility,
+      post_is_archived: { $ne: true },
+      post_owner_id: { $nin: excludedOwnerIds },
+    }),
+    { $skip: (page - 1) * itemsToFetch },
+    { $limit: itemsToFetch },
+  ]);
+};
+
+export const getPostsByHashtag = async (
+  tag,
+  page,
+  excludedOwnerIds,
+  visibility
+) => {
+  return PostsModel.find({
+    post_hashtags: tag,
+    post_is_archived: { $ne: true },
+    post_owner_id: { $nin: excludedOwnerIds },
+    ...visibility,
+  })
+    .sort({ post_timestamp: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .populate({
+      path: 'post_owner_id',
+      select: 'username',
+    });
+};
+
+/**
+ * Ranks hashtags by how many live posts used them since the given date. Only
+ * public posts count, so the ranking is the same for everyone.
+ */
+export const getTrendingHashtags = async (since, limit) => {
+  return PostsModel.aggregate([
+    {
+      $match: {
+        post_timestamp: { $gte: since },
+        post_is_archived: { $ne: true },
+        post_owner_is_private: { $ne: true },
+        post_owner_is_archived: { $ne: true },
+        post_visibility: { $nin: ['followers', 'only_me'] },
+        'post_hashtags.0': { $exists: true },
+      },
+    },
+    { $unwind: '$post_hashtags' },
+    {
+      $group: {
+        _id: '$post_hashtags',
+        count: { $sum: 1 },
+        lastUsed: { $max: '$post_timestamp' },
+      },
+    },
+    { $sort: { count: -1, lastUsed: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1, lastUsed: 1 } },
+  ]);
+};
+
+/**
+ * Posts and comments mentioning a user, newest first, on posts the user may
+ * see. Both collections are read up to the end of the requested page and
+ * merged.
+ */
+export const getMentionsForUser = async (user_id, page) => {
+  const visibility = await visiblePostsFilter(user_id);
+  const posts = await PostsModel.find({
+    'post_mentions.user_id': user_id,
+    post_is_archived: { $ne: true },
+    ...visibility,
+  })
+    .sort({ post_timestamp: -1 })
+    .limit(page * itemsToFetch)
+    .populate({
+      path: 'post_owner_id',
+      select: 'username',
+    });
+  const comments = await CommentModel.aggregate([
+    {
+      $match: {
+        'comment_mentions.user_id': user_id,
+        comment_is_deleted: { $ne: true },
+        comment_is_hidden: { $ne: true },
+      },
+    },
+    { $sort: { comment_timestamp: -1 } },
+    ...onPostsMatching(visibility),
+    { $limit: page * itemsToFetch },
+  ]);
+
+  return [
+    ...posts.map((post) => ({
+      type: 'post',
+      timestamp: post.post_timestamp,
+      content: post,
+    })),
+    ...comments.map((comment) => ({
+      type: 'comment',
+      timestamp: comment.comment_timestamp,
+      content: comment,
+    })),
+  ]
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice((page - 1) * itemsToFetch, page * itemsToFetch);
+};
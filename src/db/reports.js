@@ -0,0 +1,212 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate',
+  'violence',
+  'nudity',
+  'misinformation',
+  'other',
+];
+export const REPORT_TARGET_TYPES = ['post', 'comment', 'user'];
+// open until a moderator acts; the others say what they did
+export const REPORT_STATUSES = ['open', 'dismissed', 'hidden', 'suspended'];
+
+// Posts and comments are hidden without waiting for a moderator once this
+// many different users reported them
+export const REPORT_AUTO_HIDE_THRESHOLD =
+  Number(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5;
+
+const reportEntrySchema = new mongoose.Schema(
+  {
+    reporter_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      default: '',
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Schema for a moderation queue item. Every report about the same target is
+// collected in one item while it is open.
+const reportSchema = new mongoose.Schema({
+  report_target_type: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true,
+  },
+  report_target_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // Author of the reported post or comment, or the reported user
+  report_target_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Post the reported comment is on
+  report_post_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null,
+  },
+  report_entries: {
+    type: [reportEntrySchema],
+    default: [],
+  },
+  report_count: {
+    type: Number,
+    default: 0,
+  },
+  report_status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open',
+  },
+  report_auto_hidden: {
+    type: Boolean,
+    default: false,
+  },
+  report_created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  report_updated_at: {
+    type: Date,
+    default: Date.now,
+  },
+  report_resolved_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  report_resolved_at: {
+    type: Date,
+    default: null,
+  },
+  report_resolution_note: {
+    type: String,
+    default: null,
+  },
+});
+
+// At most one open item per target
+reportSchema.index(
+  { report_target_type: 1, report_target_id: 1 },
+  { unique: true, partialFilterExpression: { report_status: 'open' } }
+);
+reportSchema.index({
+  report_status: 1,
+  report_count: -1,
+  report_created_at: 1,
+});
+reportSchema.index({ 'report_entries.reporter_id': 1, report_updated_at: -1 });
+
+export const ReportModel = mongoose.model('Report', reportSchema);
+
+const itemsToFetch = 5;
+
+/**
+ * Files a report, adding it to the open queue item for the same target or
+ * opening a new one.
+ *
+ * @returns the queue item, or null when this user already reported the
+ * target and the item is still open
+ */
+export const addReport = async (values) => {
+  const { target_type, target_id, target_user_id, post_id, reporter_id } =
+    values;
+  try {
+    return await ReportModel.findOneAndUpdate(
+      {
+        report_target_type: target_type,
+        report_target_id: target_id,
+        report_status: 'open',
+        'report_entries.reporter_id': { $ne: reporter_id },
+      },
+      {
+        $push: {
+          report_entries: {
+            reporter_id,
+            reason: values.reason,
+            details: values.details || '',
+          },
+        },
+        $inc: { report_count: 1 },
+        $set: { report_updated_at: Date.now() },
+        $setOnInsert: {
+          report_target_user_id: target_user_id,
+          report_post_id: post_id || null,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The open item exists but already has this reporter, so the upsert
+    // tried to open a second one
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+export const getReportById = async (id) => {
+  return ReportModel.findById(id);
+};
+
+export const getReportQueue = async (page, status) => {
+  return ReportModel.find({ report_status: status })
+    .sort({ report_count: -1, report_created_at: 1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch)
+    .populate({ path: 'report_target_user_id', select: 'username' })
+    .populate({ path: 'report_resolved_by', select: 'username' });
+};
+
+export const getReportsByReporter = async (user_id, page) => {
+  return ReportModel.find({ 'report_entries.reporter_id': user_id })
+    .sort({ report_updated_at: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch);
+};
+
+export const markReportAutoHidden = async (report) => {
+  report.report_auto_hidden = true;
+  return report.save();
+};
+
+export const resolveReport = async (report, values) => {
+  const { status, moderator_id, note } = values;
+  report.report_status = status;
+  report.report_resolved_by = moderator_id;
+  report.report_resolved_at = Date.now();
+  report.report_resolution_note = note;
+  return report.save();
+};
+
+export const deleteAllReports = async (user_id) => {
+  await ReportModel.deleteMany({ report_target_user_id: user_id });
+  await ReportModel.updateMany(
+    { 'report_entries.reporter_id': user_id },
+    {
+      $pull: { report_entries: { reporter_id: user_id } },
+      $inc: { report_count: -1 },
+    }
+  );
+  await ReportModel.deleteMany({ report_count: { $lte: 0 } });
+};
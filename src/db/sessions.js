@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+
+// A session ends after this long without any request...
+export const SESSION_IDLE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+// ...and after this long no matter how active it is
+export const SESSION_ABSOLUTE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// last_seen is only written when it is at least this much out of date, so
+// not every request turns into a database write
+const LAST_SEEN_RESOLUTION = 60 * 1000; // 1 minute
+
+// Schema for a logged in device. Only a hash of the token is stored.
+const sessionSchema = new mongoose.Schema({
+  session_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  session_token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  session_created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  session_last_seen_at: {
+    type: Date,
+    default: Date.now,
+  },
+  session_user_agent: {
+    type: String,
+    default: null,
+  },
+  session_ip: {
+    type: String,
+    default: null,
+  },
+  // Absolute expiry; the idle expiry follows from session_last_seen_at
+  session_expires_at: {
+    type: Date,
+    required: true,
+  },
+});
+
+sessionSchema.index({ session_user_id: 1, session_last_seen_at: -1 });
+// Let MongoDB drop sessions past their absolute expiry by itself
+sessionSchema.index({ session_expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const SessionModel = mongoose.model('Session', sessionSchema);
+
+export const createSession = async (values) => {
+  const { user_id, session_token_hash, user_agent, ip } = values;
+  return SessionModel.create({
+    session_user_id: user_id,
+    session_token_hash,
+    session_user_agent: user_agent || null,
+    session_ip: ip || null,
+    session_expires_at: new Date(Date.now() + SESSION_ABSOLUTE_TTL),
+  });
+};
+
+/**
+ * Looks up a session by its token hash and slides its idle window.
+ *
+ * @returns the session, or null when the token is unknown or the session
+ * has expired
+ */
+export const getActiveSession = async (session_token_hash) => {
+  const session = await SessionModel.findOne({ session_token_hash });
+  if (!session) return null;
+
+  const now = Date.now();
+  if (
+    session.session_expires_at.getTime() <= now ||
+    session.session_last_seen_at.getTime() + SESSION_IDLE_TTL <= now
+  ) {
+    await SessionModel.deleteOne({ _id: session._id });
+    return null;
+  }
+
+  if (session.session_last_seen_at.getTime() + LAST_SEEN_RESOLUTION <= now) {
+    session.session_last_seen_at = now;
+    await session.save();
+  }
+  return session;
+};
+
+export const getSessionsForUser = async (user_id) => {
+  return SessionModel.find({
+    session_user_id: user_id,
+    session_expires_at: { $gt: new Date() },
+    session_last_seen_at: { $gt: new Date(Date.now() - SESSION_IDLE_TTL) },
+  }).sort({ session_last_seen_at: -1 });
+};
+
+/**
+ * Of the given sessions, the ids of those that have neither expired nor been
+ * idle for too long. Unlike getActiveSession this does not count as activity.
+ */
+export const getLiveSessionIds = async (session_ids) => {
+  return SessionModel.find({
+    _id: { $in: session_ids },
+    session_expires_at: { $gt: new Date() },
+    session_last_seen_at: { $gt: new Date(Date.now() - SESSION_IDLE_TTL) },
+  }).distinct('_id');
+};
+
+export const delSession = async (session_id, user_id) => {
+  const deletedSession = await SessionModel.findOneAndDelete({
+    _id: session_id,
+    session_user_id: user_id,
+  });
+  if (!deletedSession) {
+    return 404; // no such session for this user
+  }
+  return 200;
+};
+
+export const deleteOtherSessions = async (user_id, session_id) => {
+  return SessionModel.deleteMany({
+    session_user_id: user_id,
+    _id: { $ne: session_id },
+  });
+};
+
+export const deleteAllSessions = async (user_id) => {
+  return SessionModel.deleteMany({ session_user_id: user_id });
+};
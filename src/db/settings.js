@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// Settings admins can change while the app runs, with the value used until
+// they do
+export const SETTING_DEFAULTS = {
+  // Minutes after posting during which a comment can still be edited; null
+  // for no limit
+  comment_edit_window_minutes: null,
+};
+
+// Schema for a setting an admin changed from its default
+const settingSchema = new mongoose.Schema({
+  setting_key: {
+    type: String,
+    enum: Object.keys(SETTING_DEFAULTS),
+    required: true,
+    unique: true,
+  },
+  setting_value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  setting_updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  setting_updated_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export const SettingModel = mongoose.model('Setting', settingSchema);
+
+export const getSetting = async (key) => {
+  const setting = await SettingModel.findOne({ setting_key: key });
+  return setting ? setting.setting_value : SETTING_DEFAULTS[key];
+};
+
+// Every setting with its current value
+export const getSettings = async () => {
+  const settings = { ...SETTING_DEFAULTS };
+  for (const setting of await SettingModel.find()) {
+    settings[setting.setting_key] = setting.setting_value;
+  }
+  return settings;
+};
+
+export const setSetting = async (key, value, updated_by) => {
+  return SettingModel.findOneAndUpdate(
+    { setting_key: key },
+    {
+      setting_value: value,
+      setting_updated_by: updated_by,
+      setting_updated_at: Date.now(),
+    },
+    { upsert: true, new: true }
+  );
+};
@@ -1,21 +1,51 @@
 import mongoose from 'mongoose';
+import pkg from 'lodash';
 
-import { deleteAllPosts } from './posts.js';
+import { deleteAllPosts, syncPostOwnerFlags } from './posts.js';
+import { deleteAllFollows } from './follows.js';
+import { deleteAllMessages } from './messages.js';
+import { deleteAllNotifications } from './notifications.js';
+import { deleteAvatar } from './avatars.js';
+import { deleteAllPasswordResets } from './passwordResets.js';
+import { deleteAllLoginChallenges } from './loginChallenges.js';
+import { deleteAllSessions } from './sessions.js';
+import { deleteAllAccessTokens } from './accessTokens.js';
+import { deleteAllReports } from './reports.js';
+import { deleteAllBlocks } from './blocks.js';
+import { extractMentions, avatarUrl, formatMentions } from '../helpers/index.js';
+
+const { escapeRegExp } = pkg;
+
+// From least to most privileged; each role can do what the ones before it can
+export const USER_ROLES = ['user', 'moderator', 'admin'];
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
+  email_is_verified: { type: Boolean, default: false },
+  // New address waiting to be confirmed before it replaces email
+  pending_email: { type: String },
+  // When the last verification mail was sent, to rate-limit resending
+  email_verification_sent_at: { type: Date },
   authentication: {
     password: { type: String, required: true, select: false },
-    salt: { type: String, required: true, select: false },
-    session_token: { type: String, select: false },
+    // Only set for legacy hashes; newer ones carry their own salt
+    salt: { type: String, select: false },
+    // Two-factor secret, and the one waiting for its first code during
+    // enrollment
+    totp_secret: { type: String, select: false },
+    totp_pending_secret: { type: String, select: false },
+    // Time step of the last accepted code, so a code can't be used twice
+    totp_last_step: { type: Number, select: false },
+    // Hashes of the unused recovery codes
+    totp_recovery_codes: { type: [String], select: false, default: undefined },
   },
+  two_factor_enabled: { type: Boolean, default: false },
   user_info: {
     country: { type: String },
     first_name: { type: String, required: true },
     last_name: { type: String, required: true },
     date_of_birth: { type: Date },
-    profile_picture: { type: Buffer, default: Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAMAAACdt4HsAAAACXBIWXMAAA7EAAAOxAGVKw4bAAAC6FBMVEVHcExPkNwAAAAJEBkDBgksUHpyp+dRk+Fro+Zxp+dyqOcgO1sBAgQAAAByp+cGDBJIg8hNjNYVJztLiM8AAAAYLEQCBQh0qOdyp+cAAQJameMzXY5noeUMFiIaMEpameMPHCtHgcZTk99upeZIg8kAAAAIEBpooeU4ZpxIg8gAAABzqOd0qOdwpudooeUAAAAyW4sAAAB0qOcvVYJ0qOd0qOcKFB40Xo8AAABzqOd0qOdwpuZyqOdupeYlQ2Z0qOcCAwVMitMvVoMvVYNyqOcAAAAAAAAAAAB0qOdyp+dMitMAAAB0qOdzp+cAAAByp+cCBQgAAAByp+dzqOc6aqIAAAEAAAA6aqIHDhYQHCwPHCtPj9pro+ZhneRinuQjP2EQHS0OGylem+M1X5JdmuNpouVYmONYl+IhPV1inuRjnuQ9b6ooSW88bqgzXI0kQmVGgMNHgMRzqOd0qOcZLUVzqOd0qehzqOdzqOdxp+dzqOdyp+d0qOdzqOdzqOZLh89zp+cBAwUCBQgBAwX///9SlOJCdrVem+RTlOJ0qOdUleJWluJamONtpOZgnORKhs6Lt+pIg8hMitP4+vzv8/hRk+GJtutloOWWvu2Kt+u61PNkn+VameNZmONbmeP+/v7i7fpspOagxO9yqOf+//+dwu6z0PL2+f3d6vns8/uGtOpHgMRpouZso+ZtlcVqo+ZHgcVupeZ5nsp/os1xpufC2fRxp+dZh77X5vhOjtnj6/RIgsheltlQkNzr8vtrlMVNidFOjdjW4e/z9vpKhcxGfsFulsawzO1Qkd5/qtxEd7VPjtpLh85ooeX3+v1rlcdPj9tNitSgutr9/v5PgLpzmcjc5fH5+vxfnOSCsurT5PeEs+rS4/fL3/bn8PvK3vbm7/qXvu1gneRinuRTleJineS81fNbmuNEebrZ4/CLq9GMq9Lg6fPZ5PBEeLfg6POpwN1FeLdeisBfi8Cov9xDebpEe7xEerygdt79AAAAhHRSTlMA9yxFCZoY/hgEYH0LFT1A4/Ji6h9qHt4sGv6nSAMInhafp0fiMgrmt+EwjN2E9jOqJqeg9o4ysC6E5xJG7ImeNe6jorEBKhPsEu8QshIj8AIF9PC+Lw6/OlNV9pdub1kzM4xQi5eop1rc3XQjdFAjjo6YlmtJ/m9tjkjejxIS6S0UFBqBOXA9AAADkUlEQVRYw2NgGAW0BGxVFdr2Rkb22uWlbCRr5rQp1inr3Na7fs2a9b1bOst0imw4SbHb0qpz7eM5Xa1Q8GTO07WdVpbEusPX1GTjI7hmGOjq22hSU0uMfi6P3uetWMG8Xg8ugtrrfLa1t+IE7Vt8fPHrlxA/29WKB3SdFW/Ap58vuK+VAOgL5sOjP2heK0EwLwinCRL+c9FVL1y1aiG62Fx/Cez6PavnoCmdtqAFCBbMRBPuqfbEaoALevAvW9ICBkuWoUeGC9b4n46mbGkLHCxFk5qNJT1Y23agWbMcYcByNMd12FpjGFDZg2bLwxYkMAM9ICsx8o8eemDPQjZgFrqsHnrO0u1GV7IV2YCt6LLdumj5Xx0jwRxHNuA4hrQ6avmg3IOh4iSyAScxpHuUUQyIwUyyB94g9L8/gCmfimJAFqaCE+cnw/RPPn8CUz4TWT+HFJZc0391CkT/lKv9WKSlOJAMkOnAomLqxCuXrl2/fu3SlYlTsWVLGSQD4rDn3Enf2oDg+yTssrFIBiThyPtTL1y8eGEqDskUJAPkW8kA8kgGpJFjQDqSAUpY5GfPmLVj37nLl8/t2/FsxnQsCpSQDFDEkL15Zz5ySpx/6zaGEkUkAwrQ5G7cb8EAd9EL7EIkA3LRXP+gBQu4h+aPbCQD8lCz6ooWrGAFapZPRjIgnx1ZZlELDrAIWRV7DpIBcirIBd5KXAasRE7xmnLIuUkaSWZxC06wGEmZNEp2zkCuTnAbMA1JWTyKAQrCCJkJuA2YgFAlrIBigCwrqQawyqKWqomMpBnAmIBWrKs5weX2TMGlf8oeuCJnNfSaxcwLJndw/2Hs+g/vPwhT42iGUbWxcMNNP/LpJTb9bz8fgSvhZsGsXcXC4dJn3r3aha591+uPZ+AKQsSwVO8BEQJwBaePth37cghRrB/6cKzt6Gm4tEBEALYGAk+kICKWdu5+0XZq+7pNmzdvWrf9VNvX3TsRcoKRPNjbOI1C0ci5Ze+k/okbVq/eMLF/0l5k8WihJlytLEkhQcJFoaBQM+52nmSUACH9AlGS+FqavPwh+PWH8/Pib+uGhXI74tbuxR0aRqi1HejH78yIXTujE79fIBHtfW8mZtZ6TO3CrMxM3sT1OFzd3RxEDTSRykl2FQNRBzd3V+I7PTwiFvrMonbG5hoa5sZ2Jcz6FmI8pPa7WHhFDJm0VFW1mAxFeFlGO7F4AADORa3iNYFJbAAAAABJRU5ErkJggg==", 'base64')},
     datetime_created: { type: Date, default: Date.now },
     biography: { type: String },
   },
@@ -23,8 +53,34 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Only approved followers see a private account's posts
+  profile_is_private: {
+    type: Boolean,
+    default: false,
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'user',
+  },
+  profile_is_suspended: {
+    type: Boolean,
+    default: false,
+  },
+  profile_suspension_reason: { type: String },
+  // null for a suspension without an end
+  profile_suspended_until: { type: Date, default: null },
 });
 
+userSchema.index(
+  {
+    username: 'text',
+    'user_info.first_name': 'text',
+    'user_info.last_name': 'text',
+  },
+  { weights: { username: 3, 'user_info.first_name': 1, 'user_info.last_name': 1 } }
+);
+
 export const UserModel = mongoose.model('User', userSchema);
 
 export const createUser = async (values) => {
@@ -36,7 +92,7 @@ export const createUser = async (values) => {
 export const getUserById = async (id, includeCredentials) => {
   if (includeCredentials) {
     return UserModel.findById(id).select(
-      'authentication.password authentication.salt'
+      '+authentication.password +authentication.salt'
     );
   }
   return UserModel.findById(id);
@@ -45,27 +101,140 @@ export const getUserById = async (id, includeCredentials) => {
 export const getUserByEmail = async (email, includeCredentials) => {
   if (includeCredentials) {
     return UserModel.findOne({ email }).select(
-      'authentication.password authentication.salt'
+      '+authentication.password +authentication.salt'
     );
   }
 
   return UserModel.findOne({ email });
 };
 
-export const getUserByUsername = async (username) => {
-  return UserModel.findOne({ username });
+export const updateUserPassword = async (id, password) => {
+  return UserModel.findByIdAndUpdate(id, {
+    'authentication.password': password,
+    $unset: { 'authentication.salt': 1 },
+  });
+};
+
+export const getUserWithTotp = async (id) => {
+  return UserModel.findById(id).select(
+    '+authentication.totp_secret +authentication.totp_pending_secret'
+  );
 };
 
-export const updateUserSessionToken = async (id, session_token) => {
+export const setPendingTotpSecret = async (id, secret) => {
   return UserModel.findByIdAndUpdate(id, {
-    'authentication.session_token': session_token,
+    'authentication.totp_pending_secret': secret,
   });
 };
 
-export const getUserBySessionToken = async (session_token) => {
-  return UserModel.findOne({
-    'authentication.session_token': session_token,
-  }).select('authentication.salt');
+export const enableTwoFactor = async (id, secret, recovery_code_hashes) => {
+  return UserModel.findByIdAndUpdate(id, {
+    two_factor_enabled: true,
+    'authentication.totp_secret': secret,
+    'authentication.totp_recovery_codes': recovery_code_hashes,
+    $unset: {
+      'authentication.totp_pending_secret': 1,
+      'authentication.totp_last_step': 1,
+    },
+  });
+};
+
+export const disableTwoFactor = async (id) => {
+  return UserModel.findByIdAndUpdate(id, {
+    two_factor_enabled: false,
+    $unset: {
+      'authentication.totp_secret': 1,
+      'authentication.totp_pending_secret': 1,
+      'authentication.totp_last_step': 1,
+      'authentication.totp_recovery_codes': 1,
+    },
+  });
+};
+
+/**
+ * Records that the TOTP code of a time step was used.
+ *
+ * @returns false when a code of this or a later step was already used
+ */
+export const useTotpStep = async (id, step) => {
+  const { modifiedCount } = await UserModel.updateOne(
+    {
+      _id: id,
+      $or: [
+        { 'authentication.totp_last_step': { $exists: false } },
+        { 'authentication.totp_last_step': { $lt: step } },
+      ],
+    },
+    { 'authentication.totp_last_step': step }
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * Uses up a recovery code.
+ *
+ * @returns false when the code is unknown or was already used
+ */
+export const useRecoveryCode = async (id, recovery_code_hash) => {
+  const { modifiedCount } = await UserModel.updateOne(
+    { _id: id, 'authentication.totp_recovery_codes': recovery_code_hash },
+    { $pull: { 'authentication.totp_recovery_codes': recovery_code_hash } }
+  );
+  return modifiedCount === 1;
+};
+
+export const getUserByPendingEmail = async (email) => {
+  return UserModel.findOne({ pending_email: email });
+};
+
+export const markEmailVerificationSent = async (id) => {
+  return UserModel.findByIdAndUpdate(id, {
+    email_verification_sent_at: Date.now(),
+  });
+};
+
+export const setPendingEmail = async (id, email) => {
+  return UserModel.findByIdAndUpdate(id, { pending_email: email });
+};
+
+/**
+ * Marks an address as verified. When it is the pending address it replaces
+ * the current email.
+ *
+ * @returns the updated user, or null when the address belongs to neither
+ */
+export const confirmUserEmail = async (id, email) => {
+  const user = await getUserById(id, false);
+  if (!user) return null;
+  if (user.pending_email === email) {
+    user.email = email;
+    user.pending_email = undefined;
+  } else if (user.email !== email) {
+    return null;
+  }
+  user.email_is_verified = true;
+  return user.save();
+};
+
+// Accounts created before email verification existed count as verified
+export const migrateLegacyEmailVerification = async () => {
+  return UserModel.updateMany(
+    { email_is_verified: { $exists: false } },
+    { $set: { email_is_verified: true } }
+  );
+};
+
+export const getUserByUsername = async (username) => {
+  return UserModel.findOne({ username });
+};
+
+// Sessions live in their own collection now; drop the old single token
+export const migrateLegacySessionTokens = async () => {
+  return UserModel.updateMany(
+    { 'authentication.session_token': { $exists: true } },
+    { $unset: { 'authentication.session_token': 1 } },
+    { strict: false }
+  );
 };
 
 export const updateUserProfile = async (id, updates) => {
@@ -76,10 +245,6 @@ export const updateUserProfile = async (id, updates) => {
   if (updates.username) {
     user.username = updates.username;
   }
-  if (updates.email) {
-    user.email = updates.email;
-  }
-
   if (updates.country) {
     user.user_info.country = updates.country;
   }
@@ -92,9 +257,6 @@ export const updateUserProfile = async (id, updates) => {
   if (updates.date_of_birth) {
     user.user_info.date_of_birth = updates.date_of_birth;
   }
-  if (updates.profile_picture) {
-    user.user_info.profile_picture = updates.profile_picture;
-  }
   if (updates.biography) {
     user.user_info.biography = updates.biography;
   }
@@ -105,7 +267,9 @@ export const updateUserProfile = async (id, updates) => {
 export const archiveProfile = async (id) => {
   const user = await getUserById(id, false);
   user.profile_is_archived = true;
-  return user.save();
+  await user.save();
+  await syncPostOwnerFlags(user);
+  return user;
 };
 
 export const deleteProfile = async (id) => {
@@ -118,6 +282,16 @@ export const deleteProfile = async (id) => {
   }
   try {
     await deleteAllPosts(id);
+    await deleteAllFollows(id);
+    await deleteAllMessages(id);
+    await deleteAllNotifications(id);
+    await deleteAvatar(id);
+    await deleteAllPasswordResets(id);
+    await deleteAllLoginChallenges(id);
+    await deleteAllSessions(id);
+    await deleteAllAccessTokens(id);
+    await deleteAllReports(id);
+    await deleteAllBlocks(id);
     await UserModel.deleteOne({ _id: id });
     return { status: 200 };
   } catch (error) {
@@ -132,10 +306,23 @@ export const deleteProfile = async (id) => {
 export const unarchiveProfile = async (id) => {
   const user = await getUserById(id, false);
   user.profile_is_archived = false;
-  return user.save();
+  await user.save();
+  await syncPostOwnerFlags(user);
+  return user;
 };
 
-export const getReactionAndUserData = async (reactions) =>  {
+export const getReactionAndUserData = async (reactions, excludedUserIds = []) =>  {
+  // Comments and likes by users the viewer blocked or is blocked by, and by
+  // archived profiles, are left out
+  const owner = reactions.type == 'comments' ? 'comment_owner_id' : 'like_owner_id';
+  const archivedUserIds = await UserModel.find({
+    _id: { $in: reactions.content.map((item) => item[owner]) },
+    profile_is_archived: true,
+  }).distinct('_id');
+  const excluded = new Set([...excludedUserIds, ...archivedUserIds].map((id) => id.toString()));
+  if (excluded.size > 0) {
+    reactions = {...reactions, content: reactions.content.filter((item) => !excluded.has(item[owner].toString()))};
+  }
   const users = new Array();
   if (reactions.type == 'comments') {
     reactions.content.forEach((comment) => {
@@ -147,16 +334,35 @@ export const getReactionAndUserData = async (reactions) =>  {
     });
   }
   const reactionAndUserData = Array();
-  for(const user of users) {
-    const info = await UserModel.findById(user.toString());
-    reactionAndUserData.push({username: info.username, profile_pic: info.user_info.profile_picture ? info.user_info.profile_picture.toString('base64') : null,
+  for(const [i, user] of users.entries()) {
+    // "[deleted]" and hidden comment placeholders do not reveal their author
+    const info = reactions.type == 'comments' &&
+      (reactions.content[i].comment_is_deleted || reactions.content[i].comment_is_hidden)
+      ? null
+      : await UserModel.findById(user.toString());
+    if (!info) {
+      reactionAndUserData.push({username: null, profile_pic: null, first_name: null, last_name: null});
+      continue;
+    }
+    reactionAndUserData.push({username: info.username, profile_pic: avatarUrl(info.username),
       first_name: info.user_info.first_name, last_name: info.user_info.last_name});
   }
-  //also fetch every comment's content and timestamp:
+  //also fetch every comment's content, timestamp and thread info:
   if(reactions.type == 'comments'){
     for(let i = 0; i < reactionAndUserData.length; i++) {
-      reactionAndUserData[i] = {...reactionAndUserData[i], content: reactions.content[i].comment_content, 
-        timestamp: reactions.content[i].comment_timestamp, _id: reactions.content[i]._id}
+      reactionAndUserData[i] = {...reactionAndUserData[i],
+        content: reactions.content[i].comment_is_hidden ? '[hidden]' : reactions.content[i].comment_content,
+        timestamp: reactions.content[i].comment_timestamp, _id: reactions.content[i]._id,
+        parent_comment_id: reactions.content[i].parent_comment_id, reply_count: reactions.content[i].comment_reply_count,
+        is_deleted: reactions.content[i].comment_is_deleted, like_count: reactions.content[i].comment_like_count,
+        reaction_counts: reactions.content[i].comment_reaction_counts, mentions: formatMentions(reactions.content[i].comment_mentions),
+        is_hidden: reactions.content[i].comment_is_hidden, is_edited: !!reactions.content[i].comment_edited_at,
+        edited_at: reactions.content[i].comment_edited_at || null}
+    }
+  } else {
+    for(let i = 0; i < reactionAndUserData.length; i++) {
+      reactionAndUserData[i] = {...reactionAndUserData[i], reaction: reactions.content[i].like_type,
+        timestamp: reactions.content[i].like_timestamp}
     }
   }
   return reactionAndUserData;
@@ -167,10 +373,13 @@ export const getUserInfo = async (username) => {
   return userData.user_info;
 }
 
-export const getUserList = async () => {
+export const getUserList = async (excludedUserIds = []) => {
   try {
-    const users = await UserModel.find()
-      .select('username -_id user_info.profile_picture')
+    const users = await UserModel.find({
+      _id: { $nin: excludedUserIds },
+      profile_is_archived: { $ne: true },
+    })
+      .select('username -_id')
     return users;
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -178,4 +387,149 @@ export const getUserList = async () => {
   }
 }
 
-  
\ No newline at end of file
+export const setProfilePrivacy = async (id, is_private) => {
+  const user = await UserModel.findByIdAndUpdate(
+    id,
+    { profile_is_private: is_private },
+    { new: true }
+  );
+  await syncPostOwnerFlags(user);
+  return user;
+};
+
+const itemsToFetch = 5;
+
+/**
+ * Full-text search over username, first name and last name, best matches
+ * first. Archived profiles and the given users are left out.
+ */
+export const searchUsers = async (query, page, excludedUserIds = []) => {
+  return UserModel.find(
+    {
+      $text: { $search: query },
+      profile_is_archived: { $ne: true },
+      _id: { $nin: excludedUserIds },
+    },
+    {
+      score: { $meta: 'textScore' },
+      username: 1,
+      'user_info.first_name': 1,
+      'user_info.last_name': 1,
+    }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch);
+};
+
+/**
+ * Resolves the @username mentions in a piece of text against existing users.
+ * Mentions of unknown usernames are dropped.
+ */
+export const resolveMentions = async (content) => {
+  const mentions = extractMentions(content);
+  if (mentions.length === 0) return [];
+
+  const users = await UserModel.find({
+    username: { $in: [...new Set(mentions.map((m) => m.username))] },
+  }).select('username');
+  const userIds = new Map(users.map((user) => [user.username, user._id]));
+
+  return mentions
+    .filter((mention) => userIds.has(mention.username))
+    .map((mention) => ({ ...mention, user_id: userIds.get(mention.username) }));
+};
+
+export const getUsersByUsernamePrefix = async (
+  prefix,
+  limit,
+  excludedUserIds = []
+) => {
+  return UserModel.find({
+    _id: { $nin: excludedUserIds },
+    username: { $regex: `^${escapeRegExp(prefix)}` },
+    profile_is_archived: { $ne: true },
+  })
+    .select('username user_info.first_name user_info.last_name')
+    .sort({ username: 1 })
+    .limit(limit);
+};
+
+/**
+ * Tells if a user is suspended right now. Suspensions with an end date stop
+ * applying by themselves once it has passed.
+ */
+export const isUserSuspended = (user) => {
+  if (!user.profile_is_suspended) return false;
+  return (
+    !user.profile_suspended_until || user.profile_suspended_until > new Date()
+  );
+};
+
+export const suspendUser = async (id, reason, until) => {
+  return UserModel.findByIdAndUpdate(
+    id,
+    {
+      profile_is_suspended: true,
+      profile_suspension_reason: reason,
+      profile_suspended_until: until || null,
+    },
+    { new: true }
+  );
+};
+
+export const unsuspendUser = async (id) => {
+  return UserModel.findByIdAndUpdate(
+    id,
+    {
+      profile_is_suspended: false,
+      profile_suspended_until: null,
+      $unset: { profile_suspension_reason: 1 },
+    },
+    { new: true }
+  );
+};
+
+export const setUserRole = async (id, role) => {
+  return UserModel.findByIdAndUpdate(id, { role }, { new: true });
+};
+
+/**
+ * Lists users for the admin pages, optionally narrowed down by a username or
+ * email prefix, a role and whether they are suspended.
+ */
+export const getUsersForAdmin = async (page, filters) => {
+  const { q, role, suspended } = filters;
+  const filter = {};
+  if (q) {
+    const prefix = { $regex: `^${escapeRegExp(q)}`, $options: 'i' };
+    filter.$or = [{ username: prefix }, { email: prefix }];
+  }
+  if (role) filter.role = role;
+  if (suspended !== undefined) filter.profile_is_suspended = suspended;
+
+  return UserModel.find(filter)
+    .sort({ 'user_info.datetime_created': -1, _id: -1 })
+    .skip((page - 1) * itemsToFetch)
+    .limit(itemsToFetch);
+};
+
+// Accounts from before roles existed are regular users
+export const migrateLegacyRoles = async () => {
+  return UserModel.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: 'user', profile_is_suspended: false } }
+  );
+};
+
+/**
+ * Makes admins of the given usernames. This is how the first admin is
+ * appointed, since only admins can hand out roles.
+ */
+export const promoteAdmins = async (usernames) => {
+  if (usernames.length === 0) return;
+  return UserModel.updateMany(
+    { username: { $in: usernames } },
+    { $set: { role: 'admin' } }
+  );
+};
@@ -2,26 +2,453 @@ import crypto from 'crypto';
 
 const SECRET = 'CHANGE_ME_PLEASE_PUT_IN_ENV_FILE';
 
+// Key for signToken, e.g. TOKEN_SECRET=$(openssl rand -base64 32)
+const TOKEN_SECRET = process.env.TOKEN_SECRET;
+if (!TOKEN_SECRET || TOKEN_SECRET === SECRET) {
+  throw new Error('TOKEN_SECRET must be set to a random secret');
+}
+
 /**
- * generate random string function. This function will generate a random string. Uses the crypto library.
+ * generate token function. This function will generate a random, URL safe
+ * token to hand out to a user, e.g. in a mail link. Uses the crypto library.
  *
- * @returns a random string
+ * @returns a random token
  */
-export const generateRandomString = () => {
-  return crypto.randomBytes(128).toString('base64');
+export const generateToken = () => {
+  return crypto.randomBytes(32).toString('base64url');
 };
 
 /**
- * authentication function. This function will authenticate a user. Uses the crypto library.
+ * hash token function. Tokens handed out to users are only stored hashed, so
+ * a database leak does not expose usable tokens. Uses the crypto library.
+ *
+ * @param token - token from generateToken
+ *
+ * @returns the hash of the token
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * sign token function. Builds a self-contained token that can't be forged or
+ * altered without the server secret. Uses the crypto library.
+ *
+ * @param payload - data carried by the token; `purpose` says what it is for
+ * @param ttl - milliseconds until the token expires
+ *
+ * @returns the signed token
+ */
+export const signToken = (payload, ttl) => {
+  const body = Buffer.from(
+    JSON.stringify({ ...payload, exp: Date.now() + ttl })
+  ).toString('base64url');
+  const signature = crypto
+    .createHmac('sha256', TOKEN_SECRET)
+    .update(body)
+    .digest('base64url');
+  return `${body}.${signature}`;
+};
+
+/**
+ * verify signed token function. Checks a token made by signToken.
+ *
+ * @param token - the signed token
+ * @param purpose - purpose the token must have been signed for
+ *
+ * @returns the payload, or null when the token is forged, expired or meant
+ * for something else
+ */
+export const verifySignedToken = (token, purpose) => {
+  if (typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto
+    .createHmac('sha256', TOKEN_SECRET)
+    .update(body)
+    .digest('base64url');
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.purpose !== purpose || payload.exp < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+// scrypt cost settings for new password hashes. Raising them makes older
+// hashes get re-hashed on the owner's next login.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+
+const scrypt = (password, salt, params) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(
+      password,
+      salt,
+      SCRYPT_KEYLEN,
+      { ...params, maxmem: 256 * params.N * params.r },
+      (error, key) => (error ? reject(error) : resolve(key))
+    );
+  });
+
+/**
+ * legacy hash function. How passwords were hashed before scrypt: a single
+ * HMAC keyed with the salt. Only kept to verify hashes not yet upgraded.
  *
  * @param salt - 172 character string
- * @param password - 64 character string
+ * @param password - the plain password
  *
- * @returns the authentication
+ * @returns the legacy hash
  */
-export const authentication = (salt, password) => {
+const legacyHash = (salt, password) => {
   return crypto
     .createHmac('sha256', [salt, password].join('/'))
     .update(SECRET)
     .digest('hex');
 };
+
+/**
+ * hash password function. Hashes a password with scrypt. The result carries
+ * the algorithm, cost settings and salt, e.g. `$scrypt$N=16384,r=8,p=1$<salt>$<hash>`,
+ * so it can be verified later without anything else. Uses the crypto library.
+ *
+ * @param password - the plain password
+ *
+ * @returns the password hash
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('base64');
+  const key = await scrypt(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `$scrypt$N=${N},r=${r},p=${p}$${salt}$${key.toString('base64')}`;
+};
+
+/**
+ * verify password function. Checks a password against a stored hash, either
+ * one made by hashPassword or a legacy one. Uses the crypto library.
+ *
+ * @param password - the plain password
+ * @param hash - the stored hash
+ * @param legacySalt - salt stored beside legacy hashes
+ *
+ * @returns whether the password matches
+ */
+export const verifyPassword = async (password, hash, legacySalt) => {
+  if (typeof password !== 'string' || typeof hash !== 'string') return false;
+
+  let expected;
+  let actual;
+  if (hash.startsWith('$scrypt$')) {
+    const [, , settings, salt, key] = hash.split('$');
+    const params = Object.fromEntries(
+      settings.split(',').map((setting) => {
+        const [name, value] = setting.split('=');
+        return [name, Number(value)];
+      })
+    );
+    expected = Buffer.from(key, 'base64');
+    actual = await scrypt(password, salt, params);
+  } else {
+    if (!legacySalt) return false;
+    expected = Buffer.from(hash, 'hex');
+    actual = Buffer.from(legacyHash(legacySalt, password), 'hex');
+  }
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+/**
+ * password needs rehash function. Tells if a stored hash is legacy or uses
+ * other cost settings than new hashes do.
+ *
+ * @param hash - the stored hash
+ *
+ * @returns whether the hash should be replaced
+ */
+export const passwordNeedsRehash = (hash) => {
+  const { N, r, p } = SCRYPT_PARAMS;
+  return !hash.startsWith(`$scrypt$N=${N},r=${r},p=${p}$`);
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// One time passwords as authenticator apps expect them (RFC 6238 defaults)
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+// Codes from this many periods before or after now are accepted too, to
+// allow for clock drift and slow typing
+const TOTP_WINDOW = 1;
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = bits.match(/.{8}/g) || [];
+  return Buffer.from(bytes.map((byte) => parseInt(byte, 2)));
+};
+
+const base32Encode = (buffer) => {
+  const bits = [...buffer]
+    .map((byte) => byte.toString(2).padStart(8, '0'))
+    .join('');
+  return (bits.match(/.{1,5}/g) || [])
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const totpCode = (key, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return code.toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * generate totp secret function. Makes a new secret to share with an
+ * authenticator app. Uses the crypto library.
+ *
+ * @returns the secret, base32 encoded
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * totp uri function. Builds the otpauth:// URI authenticator apps read,
+ * usually from a QR code.
+ *
+ * @param secret - secret from generateTotpSecret
+ * @param account - name the account is listed under in the app
+ * @param issuer - name of the service
+ *
+ * @returns the otpauth URI
+ */
+export const totpUri = (secret, account, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS.toString(),
+    period: TOTP_PERIOD.toString(),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * verify totp function. Checks a one time password against a secret. Uses
+ * the crypto library.
+ *
+ * @param secret - secret from generateTotpSecret
+ * @param code - the code the user typed
+ *
+ * @returns the time step the code belongs to, or null when it does not match.
+ * Callers should refuse steps that were already used.
+ */
+export const verifyTotp = (secret, code) => {
+  if (typeof code !== 'string' || !/^\d+$/.test(code)) return null;
+  if (code.length !== TOTP_DIGITS) return null;
+
+  const key = base32Decode(secret);
+  const now = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    const expected = totpCode(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * generate recovery code function. Makes a one time code that stands in for
+ * a TOTP code when the authenticator app is lost. Uses the crypto library.
+ *
+ * @returns a code like `1a2b3-c4d5e`
+ */
+export const generateRecoveryCode = () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+const HASHTAG_REGEX = /(?:^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]{1,50})/gu;
+
+/**
+ * extract hashtags function. Finds the #hashtags in a piece of text.
+ *
+ * @param content - text to look through
+ *
+ * @returns the unique hashtags, lowercased and without the leading #
+ */
+export const extractHashtags = (content) => {
+  const tags = new Set();
+  for (const match of content.matchAll(HASHTAG_REGEX)) {
+    tags.add(match[1].toLowerCase());
+  }
+  return [...tags];
+};
+
+const MENTION_REGEX =
+  /(?:^|[^\p{L}\p{N}_@.])@([\p{L}\p{N}_.-]*[\p{L}\p{N}_])/gu;
+
+/**
+ * extract mentions function. Finds the @username mentions in a piece of text.
+ *
+ * @param content - text to look through
+ *
+ * @returns every mention as { username, start, end }, where start and end are
+ * the offsets of the "@username" text
+ */
+export const extractMentions = (content) => {
+  const mentions = [];
+  for (const match of content.matchAll(MENTION_REGEX)) {
+    const end = match.index + match[0].length;
+    mentions.push({
+      username: match[1],
+      start: end - match[1].length - 1,
+      end,
+    });
+  }
+  return mentions;
+};
+
+/**
+ * avatar url function. Where the front-end loads a user's avatar from.
+ *
+ * @param username - the user's username
+ *
+ * @returns the avatar URL
+ */
+export const avatarUrl = (username) => {
+  return `/avatars/${encodeURIComponent(username)}`;
+};
+
+/**
+ * format mentions function. Keeps only what a client needs to link a mention,
+ * leaving out the mentioned user's id.
+ *
+ * @param mentions - stored mentions of a post or comment
+ *
+ * @returns a list of { username, start, end }
+ */
+export const formatMentions = (mentions) => {
+  return (mentions || []).map(({ username, start, end }) => ({
+    username,
+    start,
+    end,
+  }));
+};
+
+/**
+ * format feed post function. Shapes a post the way the feed returns it.
+ *
+ * @param post - post document with post_owner_id populated
+ *
+ * @returns the formatted post
+ */
+export const formatFeedPost = (post) => ({
+  username: post.post_owner_id.username,
+  profilePic: avatarUrl(post.post_owner_id.username),
+  timestamp: post.post_timestamp,
+  likeCount: post.post_like_count,
+  reactionCounts: post.post_reaction_counts,
+  commentCount: post.post_comment_count,
+  editedAt: post.post_edited_at || null,
+  revisionCount: post.post_revision_count || 0,
+  content: post.post_content,
+  hashtags: post.post_hashtags,
+  mentions: formatMentions(post.post_mentions),
+  visibility: post.post_visibility || 'public',
+  media: (post.post_media || []).map((media) => ({
+    url: media.url,
+    type: media.media_type,
+    width: media.width,
+    height: media.height,
+  })),
+  id: post._id,
+});
+
+/**
+ * encode cursor function. Builds the opaque token pointing just past an item
+ * of a list sorted by a timestamp and then _id.
+ *
+ * @param timestamp - sort timestamp of the last item returned
+ * @param id - _id of the last item returned
+ *
+ * @returns the cursor token
+ */
+export const encodeCursor = (timestamp, id) => {
+  return Buffer.from(
+    JSON.stringify([new Date(timestamp).getTime(), id.toString()])
+  ).toString('base64url');
+};
+
+/**
+ * decode cursor function. Reads a token made by encodeCursor.
+ *
+ * @param cursor - the cursor token
+ *
+ * @returns { timestamp, id }, or null when the token is not valid
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const [time, id] = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8')
+    );
+    const timestamp = new Date(time);
+    if (isNaN(timestamp.getTime()) || !/^[0-9a-f]{24}$/.test(id)) return null;
+    return { timestamp, id };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * split cursor page function. Cursor queries fetch one item more than asked
+ * for to find out whether another page exists; this drops that extra item.
+ *
+ * @param docs - documents returned by the query
+ * @param limit - page size the client asked for
+ * @param field - timestamp field the list is sorted by
+ *
+ * @returns { docs, nextCursor }, nextCursor being null on the last page
+ */
+export const splitCursorPage = (docs, limit, field) => {
+  if (docs.length <= limit) return { docs, nextCursor: null };
+  const pageDocs = docs.slice(0, limit);
+  const last = pageDocs[pageDocs.length - 1];
+  return { docs: pageDocs, nextCursor: encodeCursor(last[field], last._id) };
+};
+
+/**
+ * suspension error function. Builds the response body telling a suspended
+ * user why they can't get in and for how long.
+ *
+ * @param user - the suspended user
+ *
+ * @returns the response body
+ */
+export const suspensionError = (user) => {
+  return {
+    error: 'Account is suspended',
+    reason: user.profile_suspension_reason,
+    until: user.profile_suspended_until,
+  };
+};
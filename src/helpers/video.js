@@ -0,0 +1,175 @@
+// Reads the size and length of MP4 and WebM videos from their container,
+// without decoding them
+
+// Lists the boxes of an MP4 file found between start and end
+const mp4Boxes = (buffer, start, end) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+    boxes.push({
+      type: buffer.toString('latin1', offset + 4, offset + 8),
+      start: offset + header,
+      end: offset + size,
+    });
+    offset += size;
+  }
+  return boxes;
+};
+
+// Reads the length from the movie header and the size from the first track
+// that has one (audio tracks have none)
+const readMp4Info = (buffer) => {
+  const top = mp4Boxes(buffer, 0, buffer.length);
+  if (top[0]?.type !== 'ftyp') return null;
+  const moov = top.find((box) => box.type === 'moov');
+  if (!moov) return null;
+  const children = mp4Boxes(buffer, moov.start, moov.end);
+  const mvhd = children.find((box) => box.type === 'mvhd');
+  if (!mvhd) return null;
+  const mvhdV1 = buffer[mvhd.start] === 1;
+  const timescale = buffer.readUInt32BE(mvhd.start + (mvhdV1 ? 20 : 12));
+  const length = mvhdV1
+    ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+    : buffer.readUInt32BE(mvhd.start + 16);
+
+  for (const trak of children.filter((box) => box.type === 'trak')) {
+    const tkhd = mp4Boxes(buffer, trak.start, trak.end).find(
+      (box) => box.type === 'tkhd'
+    );
+    if (!tkhd) continue;
+    // width and height are 16.16 fixed point numbers
+    const offset = tkhd.start + (buffer[tkhd.start] === 1 ? 88 : 76);
+    const width = Math.round(buffer.readUInt32BE(offset) / 65536);
+    const height = Math.round(buffer.readUInt32BE(offset + 4) / 65536);
+    if (width && height) {
+      return { width, height, duration: length / timescale };
+    }
+  }
+  return null;
+};
+
+// WebM (Matroska) element ids
+const EBML = {
+  header: 0x1a45dfa3,
+  segment: 0x18538067,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  duration: 0x4489,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  video: 0xe0,
+  pixelWidth: 0xb0,
+  pixelHeight: 0xba,
+};
+
+// Reads an EBML variable length number. Element ids keep their length
+// marker bits, element sizes do not
+const readVint = (buffer, offset, keepMarker) => {
+  const first = buffer[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > buffer.length) return null;
+  let value = keepMarker ? first : first & (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+  }
+  return { value, length };
+};
+
+// Lists the EBML elements found between start and end
+const ebmlElements = (buffer, start, end) => {
+  const elements = [];
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    if (!id) break;
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) break;
+    const bodyStart = offset + id.length + size.length;
+    // a size of all ones means unknown: the element runs to its parent's end
+    const unknownSize = size.value === 2 ** (7 * size.length) - 1;
+    const bodyEnd = unknownSize ? end : Math.min(bodyStart + size.value, end);
+    elements.push({ id: id.value, start: bodyStart, end: bodyEnd });
+    offset = bodyEnd;
+  }
+  return elements;
+};
+
+const readEbmlUint = (buffer, element) => {
+  let value = 0;
+  for (let i = element.start; i < element.end; i++) {
+    value = value * 256 + buffer[i];
+  }
+  return value;
+};
+
+// Reads the length from the segment info and the size from the first video
+// track
+const readWebmInfo = (buffer) => {
+  const top = ebmlElements(buffer, 0, buffer.length);
+  if (top[0]?.id !== EBML.header) return null;
+  const segment = top.find((element) => element.id === EBML.segment);
+  if (!segment) return null;
+  const children = ebmlElements(buffer, segment.start, segment.end);
+  const info = children.find((element) => element.id === EBML.info);
+  const tracks = children.find((element) => element.id === EBML.tracks);
+  if (!info || !tracks) return null;
+
+  const infoFields = ebmlElements(buffer, info.start, info.end);
+  const scale = infoFields.find((field) => field.id === EBML.timecodeScale);
+  const duration = infoFields.find((field) => field.id === EBML.duration);
+  if (!duration) return null;
+  const ticks =
+    duration.end - duration.start === 4
+      ? buffer.readFloatBE(duration.start)
+      : buffer.readDoubleBE(duration.start);
+  // the timecode scale is in nanoseconds and defaults to one millisecond
+  const nanoseconds = scale ? readEbmlUint(buffer, scale) : 1000000;
+
+  for (const entry of ebmlElements(buffer, tracks.start, tracks.end)) {
+    if (entry.id !== EBML.trackEntry) continue;
+    const video = ebmlElements(buffer, entry.start, entry.end).find(
+      (element) => element.id === EBML.video
+    );
+    if (!video) continue;
+    const fields = ebmlElements(buffer, video.start, video.end);
+    const width = fields.find((field) => field.id === EBML.pixelWidth);
+    const height = fields.find((field) => field.id === EBML.pixelHeight);
+    if (!width || !height) return null;
+    return {
+      width: readEbmlUint(buffer, width),
+      height: readEbmlUint(buffer, height),
+      duration: (ticks * nanoseconds) / 1e9,
+    };
+  }
+  return null;
+};
+
+/**
+ * Reads a video's dimensions and length (in seconds) from the file itself.
+ *
+ * @returns { width, height, duration }, or null when the file is not a video
+ * of the type it claims to be or those cannot be read from it
+ */
+export const readVideoInfo = (buffer, mimetype) => {
+  try {
+    const info =
+      mimetype === 'video/mp4' ? readMp4Info(buffer) : readWebmInfo(buffer);
+    if (!info || !info.width || !info.height || !(info.duration > 0)) {
+      return null;
+    }
+    return info;
+  } catch {
+    // a truncated or malformed file made us read past its end
+    return null;
+  }
+};
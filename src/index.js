@@ -10,6 +10,28 @@ import pkg from 'mongoose';
 const { Promise } = pkg;
 
 import router from './router/index.js';
+import {
+  migrateLegacyLikes,
+  migrateLegacyHashtags,
+  migrateLegacyPostOwnerFlags,
+} from './db/posts.js';
+import { migrateLegacyProfilePictures } from './db/avatars.js';
+import {
+  migrateLegacyEmailVerification,
+  migrateLegacySessionTokens,
+  migrateLegacyRoles,
+  promoteAdmins,
+} from './db/users.js';
+import { attachRealtime } from './realtime/index.js';
+
+// Origin of the React front-end
+const CLIENT_ORIGIN = 'http://localhost:5173';
+
+// Accounts made admin at startup, e.g. ADMIN_USERNAMES=alice,bob
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+  .split(',')
+  .map((username) => username.trim())
+  .filter(Boolean);
 
 /**
  * Rate limiter middleware to limit the number of requests per IP
@@ -25,7 +47,7 @@ const app = express();
 // app.use(limiter);
 app.use(
   cors({
-    origin: 'http://localhost:5173',
+    origin: CLIENT_ORIGIN,
     credentials: true,
   })
 );
@@ -37,6 +59,9 @@ app.use(bodyParser.json());
 // HTTP server
 const server = http.createServer(app);
 
+// WebSocket push channel on /ws, authenticated by the session_token cookie
+attachRealtime(server, CLIENT_ORIGIN);
+
 server.listen(8080, () => {
   console.log('Server is running on port 8080');
 });
@@ -48,6 +73,29 @@ mongoose.Promise = Promise;
 mongoose.connect(MONGO_URL);
 mongoose.connection.on('connected', () => {
   console.log('Connected to MongoDB');
+  migrateLegacyLikes().catch((err) => {
+    console.log('Error migrating legacy likes', err);
+  });
+  migrateLegacyHashtags().catch((err) => {
+    console.log('Error migrating legacy hashtags', err);
+  });
+  migrateLegacyPostOwnerFlags().catch((err) => {
+    console.log('Error migrating post owner flags', err);
+  });
+  migrateLegacyProfilePictures().catch((err) => {
+    console.log('Error migrating legacy profile pictures', err);
+  });
+  migrateLegacyEmailVerification().catch((err) => {
+    console.log('Error migrating legacy email verification', err);
+  });
+  migrateLegacySessionTokens().catch((err) => {
+    console.log('Error migrating legacy session tokens', err);
+  });
+  migrateLegacyRoles()
+    .then(() => promoteAdmins(ADMIN_USERNAMES))
+    .catch((err) => {
+      console.log('Error setting up roles', err);
+    });
 });
 mongoose.connection.on('error', (err) => {
   console.log('Error connecting to MongoDB', err);
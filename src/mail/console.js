@@ -0,0 +1,18 @@
+/**
+ * Mail transport printing messages to the console, for development.
+ */
+export default {
+  send: async ({ from, to, subject, text }) => {
+    console.log(
+      [
+        '--- mail ---',
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        '',
+        text,
+        '------------',
+      ].join('\n')
+    );
+  },
+};
@@ -0,0 +1,21 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Folder messages are written to, relative to where the server is started
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || 'logs/mail');
+
+/**
+ * Mail transport writing each message to its own JSON file, for development
+ * and tests.
+ */
+export default {
+  send: async (message) => {
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.promises.writeFile(
+      path.join(MAIL_DIR, name),
+      JSON.stringify({ ...message, date: new Date() }, null, 2)
+    );
+  },
+};
@@ -0,0 +1,33 @@
+import consoleTransport from './console.js';
+import fileTransport from './file.js';
+
+// Sender address of every mail the app sends
+const MAIL_FROM = process.env.MAIL_FROM || 'DuckPond <no-reply@localhost>';
+
+// Built-in transports; pick one with the MAIL_TRANSPORT environment variable
+const transports = { console: consoleTransport, file: fileTransport };
+
+let transport = transports[process.env.MAIL_TRANSPORT || 'console'];
+if (!transport) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}"`);
+}
+
+/**
+ * set mail transport function. Replaces the transport mail goes through, e.g.
+ * with an SMTP client. A transport is any object with an async
+ * send({ from, to, subject, text }) method.
+ *
+ * @param newTransport - the transport to use from now on
+ */
+export const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * send mail function. Sends a plain text mail through the current transport.
+ *
+ * @param message - { to, subject, text }
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  return transport.send({ from: MAIL_FROM, to, subject, text });
+};
@@ -0,0 +1,52 @@
+import { sendMail } from './index.js';
+
+// Pages of the front-end the links in our mails point to
+const CLIENT_URL = 'http://localhost:5173';
+const RESET_PASSWORD_URL = `${CLIENT_URL}/reset-password`;
+const VERIFY_EMAIL_URL = `${CLIENT_URL}/verify-email`;
+
+/**
+ * send password reset mail function. Mails a user the link to choose a new
+ * password.
+ *
+ * @param user - the user asking for the reset
+ * @param token - the reset token
+ * @param ttl - milliseconds until the token expires
+ */
+export const sendPasswordResetMail = async (user, token, ttl) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password of your account. Use the link below to choose a new one:',
+      `${RESET_PASSWORD_URL}?token=${encodeURIComponent(token)}`,
+      '',
+      `The link works once and expires in ${ttl / 60 / 1000} minutes. If you did not ask for this, you can ignore this email.`,
+    ].join('\n'),
+  });
+};
+
+/**
+ * send verification mail function. Mails the link confirming an address
+ * belongs to the user.
+ *
+ * @param user - the user the address is for
+ * @param email - the address to confirm
+ * @param token - the signed verification token
+ */
+export const sendVerificationMail = async (user, email, token) => {
+  return sendMail({
+    to: email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm this is your email address by opening the link below:',
+      `${VERIFY_EMAIL_URL}?token=${encodeURIComponent(token)}`,
+      '',
+      'If you did not sign up or change your email, you can ignore this email.',
+    ].join('\n'),
+  });
+};
@@ -0,0 +1,43 @@
+import pkg from 'lodash';
+
+import { USER_ROLES } from '../db/users.js';
+
+const { get } = pkg;
+
+const MAX_REASON_LENGTH = 500;
+
+// Privileged actions are only taken with a reason, which goes in the audit log
+export const hasReason = (req, res, next) => {
+  const { reason } = req.body;
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    return res.status(400).json({
+      error: `Reason must be at most ${MAX_REASON_LENGTH} characters`,
+    });
+  }
+
+  next();
+};
+
+// Staff can only act on accounts with a lower role than their own
+export const outranksUser = (req, res, next) => {
+  try {
+    const user = get(req, 'identity');
+    const target = get(req, 'requested_user_identity');
+
+    if (
+      user._id.toString() === target._id.toString() ||
+      USER_ROLES.indexOf(user.role) <= USER_ROLES.indexOf(target.role)
+    ) {
+      return res.status(403).json({ error: 'User does not have access' });
+    }
+
+    next();
+  } catch (error) {
+    console.error(`(outranksUser) ${error}`);
+    return res.sendStatus(500);
+  }
+};
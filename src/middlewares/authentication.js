@@ -1,6 +1,9 @@
 import express from 'express';
 import pkg from 'lodash';
-import { getUserBySessionToken } from '../db/users.js';
+import { USER_ROLES, getUserById, isUserSuspended } from '../db/users.js';
+import { getActiveSession } from '../db/sessions.js';
+import { getActiveAccessToken } from '../db/accessTokens.js';
+import { hashToken, suspensionError } from '../helpers/index.js';
 const { get, merge } = pkg;
 
 export const isValidRegistrationRequestBody = (req, res, next) => {
@@ -82,24 +85,129 @@ export const isValidRegistrationRequestBody = (req, res, next) => {
   next();
 };
 
+/**
+ * Lets a request through when it carries either a personal access token as
+ * `Authorization: Bearer <token>` or a session_token cookie. Requests made
+ * with an access token are further limited by hasScope and sessionOnly.
+ */
 export const isAuthenticated = async (req, res, next) => {
+  const authorization = req.get('authorization');
   const session_token = req.cookies.session_token;
 
-  if (!session_token) {
+  if (!authorization && !session_token) {
     return res.status(403).json({ error: 'No session token' });
   }
 
-  const user = await getUserBySessionToken(session_token);
+  try {
+    if (authorization) {
+      const [scheme, token] = authorization.split(' ');
+      const access_token =
+        scheme === 'Bearer' && token
+          ? await getActiveAccessToken(hashToken(token))
+          : null;
+      const user =
+        access_token && (await getUserById(access_token.token_user_id, false));
+
+      if (!user) {
+        return res.status(403).json({ error: 'Invalid access token' });
+      }
+      if (isUserSuspended(user)) {
+        return res.status(403).json(suspensionError(user));
+      }
+
+      merge(req, { identity: user, access_token_identity: access_token });
+      return next();
+    }
+
+    // Expired sessions are not returned; active ones get their idle window
+    // extended
+    const session = await getActiveSession(hashToken(session_token));
+    const user = session && (await getUserById(session.session_user_id, false));
+
+    if (!user) {
+      return res.status(403).json({ error: 'Invalid session token' });
+    }
+    if (isUserSuspended(user)) {
+      return res.status(403).json(suspensionError(user));
+    }
+
+    merge(req, { identity: user, session_identity: session });
+
+    next();
+  } catch (error) {
+    console.error(`(isAuthenticated) ${error}`);
+    return res.sendStatus(500);
+  }
+};
+
+/**
+ * has scope function. Builds a middleware that only lets access token
+ * requests through when the token was granted the scope. Logged in users
+ * have every scope.
+ *
+ * @param scope - one of ACCESS_TOKEN_SCOPES
+ *
+ * @returns the middleware
+ */
+export const hasScope = (scope) => (req, res, next) => {
+  const access_token = get(req, 'access_token_identity');
+
+  if (access_token && !access_token.token_scopes.includes(scope)) {
+    return res
+      .status(403)
+      .json({ error: `Access token is missing the ${scope} scope` });
+  }
+
+  next();
+};
 
-  if (!user) {
-    return res.status(403).json({ error: 'Invalid session token' });
+/**
+ * has role function. Builds a middleware that only lets users with at least
+ * the given role through; admins can do everything moderators can.
+ *
+ * @param role - one of USER_ROLES
+ *
+ * @returns the middleware
+ */
+export const hasRole = (role) => (req, res, next) => {
+  const user = get(req, 'identity');
+
+  if (USER_ROLES.indexOf(user.role) < USER_ROLES.indexOf(role)) {
+    return res.status(403).json({ error: 'User does not have access' });
   }
 
-  merge(req, { identity: user });
+  next();
+};
+
+// For account settings that access tokens must never reach
+export const sessionOnly = (req, res, next) => {
+  if (!get(req, 'session_identity')) {
+    return res
+      .status(403)
+      .json({ error: 'Only available when logged in with a session' });
+  }
 
   next();
 };
 
+export const isVerified = async (req, res, next) => {
+  try {
+    const identity = get(req, 'identity');
+    const user = await getUserById(identity._id, false);
+
+    if (!user || !user.email_is_verified) {
+      return res.status(403).json({
+        error: 'Please verify your email address first...',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error(`(isVerified) ${error}`);
+    return res.sendStatus(500);
+  }
+};
+
 export const success = (req, res) => {
   return res.sendStatus(200);
 };
@@ -0,0 +1,203 @@
+import multer from 'multer';
+import sharp from 'sharp';
+import pkg from 'lodash';
+
+import { readVideoInfo } from '../helpers/video.js';
+
+const { get, merge } = pkg;
+
+// What a post may carry: up to four images, or a single short video
+export const MAX_POST_IMAGES = 4;
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB
+export const MAX_VIDEO_SIZE = 20 * 1024 * 1024; // 20 MB
+export const MAX_VIDEO_DURATION = 60; // seconds
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const VIDEO_TYPES = ['video/mp4', 'video/webm'];
+
+// sharp's format name for each accepted image type
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+const toMB = (bytes) => bytes / 1024 / 1024;
+
+const tooLarge = (file, message) => {
+  const error = new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname);
+  error.message = message;
+  return error;
+};
+
+// Keeps uploads in memory like multer.memoryStorage, but stops reading as
+// soon as a file passes the limit for its type or the request carries more
+// than a single video's worth of data
+const mediaStorage = {
+  _handleFile(req, file, cb) {
+    const isVideoType = VIDEO_TYPES.includes(file.mimetype);
+    const limit = isVideoType ? MAX_VIDEO_SIZE : MAX_IMAGE_SIZE;
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    const finish = (error, info) => {
+      if (done) return;
+      done = true;
+      cb(error, info);
+    };
+    file.stream.on('data', (chunk) => {
+      if (done) return;
+      size += chunk.length;
+      req.post_media_bytes = (req.post_media_bytes || 0) + chunk.length;
+      if (size > limit) {
+        chunks.length = 0;
+        return finish(
+          tooLarge(
+            file,
+            `${isVideoType ? 'Videos' : 'Images'} must be at most ${toMB(limit)} MB.`
+          )
+        );
+      }
+      if (req.post_media_bytes > MAX_VIDEO_SIZE) {
+        chunks.length = 0;
+        return finish(
+          tooLarge(
+            file,
+            `Attachments must be at most ${toMB(MAX_VIDEO_SIZE)} MB in total.`
+          )
+        );
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('error', (error) => finish(error));
+    file.stream.on('end', () =>
+      finish(null, { buffer: Buffer.concat(chunks), size })
+    );
+  },
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  },
+};
+
+const upload = multer({
+  storage: mediaStorage,
+  limits: { fileSize: MAX_VIDEO_SIZE, files: MAX_POST_IMAGES },
+}).array('media', MAX_POST_IMAGES);
+
+// Re-encodes an image so the stored copy carries no EXIF data such as the
+// camera or the place it was taken. The pixels are turned upright first since
+// the orientation tag goes too, and every frame of an animation is kept.
+const stripImageMetadata = async (buffer, format) => {
+  const { data, info } = await sharp(buffer, { animated: true })
+    .rotate()
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true });
+  return {
+    buffer: data,
+    width: info.width,
+    // animations are returned as a strip of frames
+    height: info.pageHeight || info.height,
+  };
+};
+
+/**
+ * Parses a multipart request holding post attachments in the "media" field.
+ * JSON requests pass through untouched.
+ */
+export const uploadPostMedia = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res
+        .status(400)
+        .json({ error: `Invalid upload: ${error.message}` });
+    }
+    if (error) {
+      console.error(`(uploadPostMedia) ${error}`);
+      return res.sendStatus(500);
+    }
+    next();
+  });
+};
+
+/**
+ * Validates the uploaded attachments, strips the metadata of images and reads
+ * their dimensions into req.post_media_files.
+ */
+export const validatePostMedia = async (req, res, next) => {
+  try {
+    const files = req.files || [];
+    const images = files.filter((file) => IMAGE_TYPES.includes(file.mimetype));
+    const videos = files.filter((file) => VIDEO_TYPES.includes(file.mimetype));
+
+    if (images.length + videos.length !== files.length) {
+      return res.status(400).json({
+        error: `Attachments must be one of: ${[...IMAGE_TYPES, ...VIDEO_TYPES].join(', ')}.`,
+      });
+    }
+    if (videos.length > 0 && files.length > 1) {
+      return res.status(400).json({
+        error: 'A post can carry either images or a single video.',
+      });
+    }
+
+    const post_media_files = [];
+    for (const file of images) {
+      let image;
+      try {
+        const { format } = await sharp(file.buffer).metadata();
+        image =
+          format === IMAGE_FORMATS[file.mimetype]
+            ? await stripImageMetadata(file.buffer, format)
+            : null;
+      } catch {
+        image = null;
+      }
+      if (!image) {
+        return res
+          .status(400)
+          .json({ error: `${file.originalname} is not a valid image.` });
+      }
+      post_media_files.push({
+        buffer: image.buffer,
+        filename: file.originalname,
+        content_type: file.mimetype,
+        media_type: 'image',
+        width: image.width,
+        height: image.height,
+        size: image.buffer.length,
+      });
+    }
+
+    for (const file of videos) {
+      const info = readVideoInfo(file.buffer, file.mimetype);
+      if (!info) {
+        return res
+          .status(400)
+          .json({ error: `${file.originalname} is not a valid video.` });
+      }
+      if (info.duration > MAX_VIDEO_DURATION) {
+        return res.status(400).json({
+          error: `Videos must be at most ${MAX_VIDEO_DURATION} seconds long.`,
+        });
+      }
+      post_media_files.push({
+        buffer: file.buffer,
+        filename: file.originalname,
+        content_type: file.mimetype,
+        media_type: 'video',
+        width: info.width,
+        height: info.height,
+        size: file.size,
+      });
+    }
+
+    // assigned directly: lodash merge would copy every file buffer
+    req.post_media_files = post_media_files;
+    next();
+  } catch (error) {
+    console.error(`(validatePostMedia) ${error}`);
+    return res.sendStatus(500);
+  }
+};
@@ -0,0 +1,140 @@
+import pkg from 'lodash';
+
+import { getConversationById, getMessageById } from '../db/messages.js';
+import { getUserByUsername } from '../db/users.js';
+import { isBlockedEitherWay } from '../db/blocks.js';
+
+const { get, merge } = pkg;
+import { ObjectId } from 'mongodb';
+
+export const conversationExists = async (req, res, next) => {
+  try {
+    const { id: conversation_id } = req.params;
+    if (!ObjectId.isValid(conversation_id)) {
+      return res.status(404).json({ error: 'Invalid conversation id' });
+    }
+
+    const conversation = await getConversationById(conversation_id);
+    if (!conversation)
+      return res.status(404).json({ error: 'Conversation does not exist' });
+
+    merge(req, { conversation_identity: conversation });
+    next();
+  } catch (error) {
+    console.error(`(conversationExists) ${error}`);
+    res.sendStatus(500);
+  }
+};
+
+export const isConversationParticipant = (req, res, next) => {
+  try {
+    const conversation = get(req, 'conversation_identity');
+    const user = get(req, 'identity');
+
+    const isParticipant = conversation.conversation_participants.some(
+      (participant) => participant.user_id.toString() === user._id.toString()
+    );
+    if (!isParticipant) {
+      return res.status(403).json({ error: 'User does not have access' });
+    }
+
+    next();
+  } catch (error) {
+    console.error(`(isConversationParticipant) ${error}`);
+    return res.sendStatus(500);
+  }
+};
+
+export const messageExists = async (req, res, next) => {
+  try {
+    const { messageId: message_id } = req.params;
+    if (!ObjectId.isValid(message_id)) {
+      return res.status(404).json({ error: 'Invalid message id' });
+    }
+
+    const message = await getMessageById(message_id);
+    if (!message || message.message_is_deleted)
+      return res.status(404).json({ error: 'Message does not exist' });
+
+    const conversation = await getConversationById(message.conversation_id);
+    merge(req, {
+      message_identity: message,
+      conversation_identity: conversation,
+    });
+    next();
+  } catch (error) {
+    console.error(`(messageExists) ${error}`);
+    res.sendStatus(500);
+  }
+};
+
+export const isMessageOwner = (req, res, next) => {
+  try {
+    const message = get(req, 'message_identity');
+    const user = get(req, 'identity');
+
+    if (message.message_sender_id.toString() !== user._id.toString()) {
+      return res.status(403).json({ error: 'User does not have access' });
+    }
+
+    next();
+  } catch (error) {
+    console.error(`(isMessageOwner) ${error}`);
+    return res.sendStatus(500);
+  }
+};
+
+// Resolves req.body.usernames to users, the same way userExistsByUsername does
+export const participantsExistByUsername = async (req, res, next) => {
+  try {
+    const { usernames } = req.body;
+    if (!Array.isArray(usernames) || usernames.length === 0) {
+      return res
+        .status(400)
+        .json({ error: 'At least one username is required' });
+    }
+
+    const participants = [];
+    for (const username of new Set(usernames)) {
+      const participant = await getUserByUsername(username);
+      if (!participant)
+        return res
+          .status(404)
+          .json({ error: `User ${username} does not exist` });
+      participants.push(participant);
+    }
+
+    merge(req, { conversation_participants: participants });
+    next();
+  } catch (error) {
+    console.error(`(participantsExistByUsername) ${error}`);
+    res.sendStatus(500);
+  }
+};
+
+// Refuses to start or continue a conversation with anyone the user blocked
+// or was blocked by. Runs after participantsExistByUsername when a
+// conversation is created, and after conversationExists otherwise.
+export const noBlockedParticipants = async (req, res, next) => {
+  try {
+    const user = get(req, 'identity');
+    const conversation = get(req, 'conversation_identity');
+    const participant_ids = conversation
+      ? conversation.conversation_participants.map((p) => p.user_id)
+      : get(req, 'conversation_participants').map((p) => p._id);
+
+    for (const participant_id of participant_ids) {
+      if (participant_id.toString() === user._id.toString()) continue;
+      if (await isBlockedEitherWay(user._id, participant_id)) {
+        return res.status(403).json({
+          error: 'You cannot message this user due to a block',
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error(`(noBlockedParticipants) ${error}`);
+    return res.sendStatus(500);
+  }
+};
@@ -0,0 +1,43 @@
+import pkg from 'lodash';
+
+import { getNotificationById } from '../db/notifications.js';
+
+const { get, merge } = pkg;
+import { ObjectId } from 'mongodb';
+
+export const notificationExists = async (req, res, next) => {
+  try {
+    const { id: notification_id } = req.params;
+    if (!ObjectId.isValid(notification_id)) {
+      return res.status(404).json({ error: 'Invalid notification id' });
+    }
+
+    const notification = await getNotificationById(notification_id);
+    if (!notification)
+      return res.status(404).json({ error: 'Notification does not exist' });
+
+    merge(req, { notification_identity: notification });
+    next();
+  } catch (error) {
+    console.error(`(notificationExists) ${error}`);
+    res.sendStatus(500);
+  }
+};
+
+export const isNotificationRecipient = (req, res, next) => {
+  try {
+    const notification = get(req, 'notification_identity');
+    const user = get(req, 'identity');
+
+    if (
+      notification.notification_recipient_id.toString() !== user._id.toString()
+    ) {
+      return res.status(403).json({ error: 'User does not have access' });
+    }
+
+    next();
+  } catch (error) {
+    console.error(`(isNotificationRecipient) ${error}`);
+    return res.sendStatus(500);
+  }
+};
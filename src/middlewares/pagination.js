@@ -0,0 +1,48 @@
+import pkg from 'lodash';
+
+import { decodeCursor } from '../helpers/index.js';
+
+const { get, merge } = pkg;
+
+// Page size when the client does not ask for one, and the most it may ask for
+export const DEFAULT_PAGE_SIZE = 5;
+export const MAX_PAGE_SIZE = 50;
+
+/**
+ * Reads the pagination of a list request into req.pagination. Routes with a
+ * :page parameter keep page-number pagination (a number); the others take
+ * ?cursor= and ?limit= ({ cursor, limit }).
+ */
+export const parsePagination = (req, res, next) => {
+  try {
+    if (req.params.page !== undefined) {
+      const page = Number(req.params.page);
+      if (!Number.isInteger(page) || page <= 0) {
+        return res.status(400).json({
+          error: 'Page number must be integer greater than or equal to 1.',
+        });
+      }
+      merge(req, { pagination: page });
+      return next();
+    }
+
+    const limit = Number(req.query.limit || DEFAULT_PAGE_SIZE);
+    if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`,
+      });
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    merge(req, { pagination: { cursor, limit } });
+    next();
+  } catch (error) {
+    console.error(`(parsePagination) ${error}`);
+    return res.sendStatus(500);
+  }
+};
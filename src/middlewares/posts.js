@@ -1,6 +1,13 @@
 import pkg from 'lodash';
 
-import { getPostById, getCommentById, getLikeById } from '../db/posts.js';
+import {
+  getPostById,
+  getCommentById,
+  getLikeById,
+  getPostAccess,
+  isPostArchived,
+} from '../db/posts.js';
+import { isBlockedEitherWay } from '../db/blocks.js';
 
 const { get, merge } = pkg;
 import { ObjectId } from 'mongodb';
@@ -15,6 +22,23 @@ export const postExists = async (req, res, next) => {
     const post = await getPostById(post_id);
     if (!post) return res.status(404).json({ error: 'Post does not exist' });
 
+    const user = get(req, 'identity');
+    if (user) {
+      const access = await getPostAccess(user, post);
+      if (access === 'blocked') {
+        return res.status(403).json({
+          error: 'You cannot view or interact with this post due to a block',
+        });
+      }
+      // Posts the user may not see are answered as if they did not exist
+      if (access === 'hidden') {
+        return res.status(404).json({ error: 'Post does not exist' });
+      }
+      if (access === 'archived') {
+        return res.status(410).json({ error: 'Post is archived' });
+      }
+    }
+
     merge(req, { post_identity: post });
     next();
   } catch (error) {
@@ -23,6 +47,21 @@ export const postExists = async (req, res, next) => {
   }
 };
 
+// Archived posts can be looked at by their owner but not interacted with
+export const isPostActive = async (req, res, next) => {
+  try {
+    const post = get(req, 'post_identity');
+    if (await isPostArchived(post)) {
+      return res.status(410).json({ error: 'Post is archived' });
+    }
+
+    next();
+  } catch (error) {
+    console.error(`(isPostActive) ${error}`);
+    return res.sendStatus(500);
+  }
+};
+
 export const isPostOwner = (req, res, next) => {
   try {
     const post = get(req, 'post_identity');
@@ -50,6 +89,20 @@ export const commentExists = async (req, res, next) => {
     if (!comment)
       return res.status(404).json({ error: 'Comment does not exist' });
 
+    const post = get(req, 'post_identity');
+    if (post && comment.post_id.toString() !== post._id.toString())
+      return res.status(404).json({ error: 'Comment does not exist' });
+
+    const user = get(req, 'identity');
+    if (
+      user &&
+      (await isBlockedEitherWay(user._id, comment.comment_owner_id))
+    ) {
+      return res.status(403).json({
+        error: 'You cannot interact with this comment due to a block',
+      });
+    }
+
     merge(req, { comment_identity: comment });
     next();
   } catch (error) {
@@ -76,8 +76,14 @@ export const checkUpdateProfilePayload = (req, res, next) => {
     if (country !== undefined) newProfileData.country = country;
     if (first_name !== undefined) newProfileData.first_name = first_name;
     if (last_name !== undefined) newProfileData.last_name = last_name;
-    if (profile_picture !== undefined)
+    if (profile_picture !== undefined) {
+      if (typeof profile_picture !== 'string') {
+        return res
+          .status(400)
+          .json({ error: 'Profile picture must be a base64 string' });
+      }
       newProfileData.profile_picture = profile_picture;
+    }
     if (biography !== undefined) newProfileData.biography = biography;
 
     merge(req, { newProfileData });
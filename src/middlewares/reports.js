@@ -0,0 +1,25 @@
+import pkg from 'lodash';
+
+import { getReportById } from '../db/reports.js';
+
+const { merge } = pkg;
+import { ObjectId } from 'mongodb';
+
+export const reportExists = async (req, res, next) => {
+  try {
+    const { id: report_id } = req.params;
+    if (!ObjectId.isValid(report_id)) {
+      return res.status(404).json({ error: 'Invalid report id' });
+    }
+
+    const report = await getReportById(report_id);
+    if (!report)
+      return res.status(404).json({ error: 'Report does not exist' });
+
+    merge(req, { report_identity: report });
+    next();
+  } catch (error) {
+    console.error(`(reportExists) ${error}`);
+    res.sendStatus(500);
+  }
+};
@@ -0,0 +1,239 @@
+import { WebSocketServer } from 'ws';
+import cookieParser from 'cookie-parser';
+import { ObjectId } from 'mongodb';
+
+import { getUserById, isUserSuspended } from '../db/users.js';
+import { getPostById, canViewPost } from '../db/posts.js';
+import { getActiveSession, getLiveSessionIds } from '../db/sessions.js';
+import { hashToken } from '../helpers/index.js';
+
+// How often dead connections and connections whose session ended are looked
+// for and dropped
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Close code sent when the session behind a connection ends
+const SESSION_ENDED = 4001;
+
+// Open sockets per user id, the post ids each socket watches and the session
+// id each socket was opened with
+const userSockets = new Map();
+const postSubscriptions = new WeakMap();
+const socketSessions = new WeakMap();
+
+const parseCookies = cookieParser();
+
+/**
+ * authenticate upgrade function. Resolves the user behind a WebSocket upgrade
+ * request from the same session_token cookie isAuthenticated uses.
+ *
+ * @param req - the HTTP upgrade request
+ *
+ * @returns { user, session }, or null when the request is not authenticated
+ */
+const authenticateUpgrade = async (req) => {
+  await new Promise((resolve) => parseCookies(req, null, resolve));
+  const session_token = req.cookies.session_token;
+  if (!session_token) return null;
+  const session = await getActiveSession(hashToken(session_token));
+  if (!session) return null;
+  const user = await getUserById(session.session_user_id, false);
+  if (!user || isUserSuspended(user)) return null;
+  return { user, session };
+};
+
+const send = (socket, event) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(event));
+  }
+};
+
+const addSocket = (user_id, session_id, socket) => {
+  if (!userSockets.has(user_id)) userSockets.set(user_id, new Set());
+  userSockets.get(user_id).add(socket);
+  postSubscriptions.set(socket, new Set());
+  socketSessions.set(socket, session_id);
+};
+
+const removeSocket = (user_id, socket) => {
+  const sockets = userSockets.get(user_id);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) userSockets.delete(user_id);
+};
+
+// Closes the given connections whose session has expired or was removed
+// since they were opened
+const closeExpiredSessionSockets = async (sockets) => {
+  if (sockets.length === 0) return;
+  const liveSessionIds = await getLiveSessionIds(
+    sockets.map((socket) => socketSessions.get(socket))
+  );
+  const live = new Set(liveSessionIds.map((id) => id.toString()));
+  sockets.forEach((socket) => {
+    if (!live.has(socketSessions.get(socket))) {
+      socket.close(SESSION_ENDED, 'Session ended');
+    }
+  });
+};
+
+// Handles { action: 'subscribe' | 'unsubscribe', post_id } from the client
+const handleClientMessage = async (socket, user, data) => {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch {
+    return send(socket, { type: 'error', error: 'Invalid JSON' });
+  }
+
+  const { action, post_id } = message;
+  if (!ObjectId.isValid(post_id)) {
+    return send(socket, { type: 'error', error: 'Invalid post id' });
+  }
+
+  const subscriptions = postSubscriptions.get(socket);
+  if (action === 'subscribe') {
+    const post = await getPostById(post_id);
+    if (!post || !(await canViewPost(user, post))) {
+      return send(socket, { type: 'error', error: 'Post does not exist' });
+    }
+    subscriptions.add(post_id.toString());
+    return send(socket, { type: 'subscribed', post_id });
+  }
+  if (action === 'unsubscribe') {
+    subscriptions.delete(post_id.toString());
+    return send(socket, { type: 'unsubscribed', post_id });
+  }
+  send(socket, { type: 'error', error: 'Unknown action' });
+};
+
+/**
+ * attach realtime function. Accepts WebSocket connections on /ws of the given
+ * HTTP server and keeps track of them so events can be pushed.
+ *
+ * @param server - the http.Server the express app listens on
+ * @param origin - the only browser origin allowed to connect
+ */
+export const attachRealtime = (server, origin) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== '/ws') return socket.destroy();
+
+      // Cookies are sent cross-site, so only our front-end may connect
+      if (req.headers.origin && req.headers.origin !== origin) {
+        socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return socket.destroy();
+      }
+
+      const auth = await authenticateUpgrade(req);
+      if (!auth) {
+        socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return socket.destroy();
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, auth.user, auth.session);
+      });
+    } catch (error) {
+      console.error('Error upgrading to WebSocket:', error);
+      socket.destroy();
+    }
+  });
+
+  wss.on('connection', (ws, user, session) => {
+    const user_id = user._id.toString();
+    ws.isAlive = true;
+    addSocket(user_id, session._id.toString(), ws);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (data) =>
+      handleClientMessage(ws, user, data).catch((error) =>
+        console.error('Error handling realtime message:', error)
+      )
+    );
+    ws.on('close', () => removeSocket(user_id, ws));
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+    closeExpiredSessionSockets([...wss.clients]).catch((error) =>
+      console.error('Error checking realtime sessions:', error)
+    );
+  }, HEARTBEAT_INTERVAL);
+
+  server.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+/**
+ * Pushes an event to every open connection of one user.
+ */
+export const pushToUser = (user_id, event) => {
+  const sockets = userSockets.get(user_id.toString());
+  if (!sockets) return;
+  sockets.forEach((socket) => send(socket, event));
+};
+
+/**
+ * Pushes an event to every connection subscribed to a post, except those of
+ * the users in except_user_ids.
+ */
+export const pushToPostSubscribers = (post_id, event, except_user_ids = []) => {
+  userSockets.forEach((sockets, user_id) => {
+    if (except_user_ids.includes(user_id)) return;
+    sockets.forEach((socket) => {
+      if (postSubscriptions.get(socket)?.has(post_id.toString())) {
+        send(socket, event);
+      }
+    });
+  });
+};
+
+/**
+ * Pushes an event to every open connection, except those of the users in
+ * except_user_ids.
+ */
+export const pushToAll = (event, except_user_ids = []) => {
+  userSockets.forEach((sockets, user_id) => {
+    if (except_user_ids.includes(user_id)) return;
+    sockets.forEach((socket) => send(socket, event));
+  });
+};
+
+/**
+ * Closes the connections of one user opened with the given session, e.g.
+ * after the user logged out or revoked it.
+ */
+export const closeSessionSockets = (user_id, session_id) => {
+  const sockets = userSockets.get(user_id.toString());
+  if (!sockets) return;
+  sockets.forEach((socket) => {
+    if (socketSessions.get(socket) === session_id.toString()) {
+      socket.close(SESSION_ENDED, 'Session ended');
+    }
+  });
+};
+
+/**
+ * Closes every connection of one user, except those opened with
+ * keep_session_id when given, e.g. after their sessions were revoked or they
+ * were suspended.
+ */
+export const closeUserSockets = (user_id, keep_session_id) => {
+  const sockets = userSockets.get(user_id.toString());
+  if (!sockets) return;
+  sockets.forEach((socket) => {
+    if (socketSessions.get(socket) !== keep_session_id?.toString()) {
+      socket.close(SESSION_ENDED, 'Session ended');
+    }
+  });
+};
@@ -0,0 +1,13 @@
+import { isAuthenticated, sessionOnly } from '../middlewares/authentication.js';
+
+import {
+  createToken,
+  getTokens,
+  revokeToken,
+} from '../controllers/accessTokens.js';
+
+export default (router) => {
+  router.get('/auth/tokens', isAuthenticated, sessionOnly, getTokens);
+  router.post('/auth/tokens', isAuthenticated, sessionOnly, createToken);
+  router.delete('/auth/tokens/:id', isAuthenticated, sessionOnly, revokeToken);
+};
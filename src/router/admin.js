@@ -0,0 +1,122 @@
+import {
+  isAuthenticated,
+  hasScope,
+  hasRole,
+  sessionOnly,
+} from '../middlewares/authentication.js';
+
+import {
+  listUsers,
+  suspendAccount,
+  unsuspendAccount,
+  changeRole,
+  forceArchivePost,
+  forceUnarchivePost,
+  forceDeletePost,
+  forceDeleteComment,
+  getAuditEntries,
+  getAppSettings,
+  updateSetting,
+} from '../controllers/admin.js';
+import { hasReason, outranksUser } from '../middlewares/admin.js';
+import { userExistsByUsername } from '../middlewares/profile.js';
+import { postExists, commentExists } from '../middlewares/posts.js';
+
+export default (router) => {
+  router.get(
+    '/admin/users/:page',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    listUsers
+  );
+  router.put(
+    '/admin/users/:username/suspend',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    userExistsByUsername,
+    outranksUser,
+    hasReason,
+    suspendAccount
+  );
+  router.put(
+    '/admin/users/:username/unsuspend',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    userExistsByUsername,
+    outranksUser,
+    hasReason,
+    unsuspendAccount
+  );
+  router.put(
+    '/admin/users/:username/role',
+    isAuthenticated,
+    sessionOnly,
+    hasRole('admin'),
+    userExistsByUsername,
+    outranksUser,
+    hasReason,
+    changeRole
+  );
+  router.put(
+    '/admin/posts/:id/archive',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    postExists,
+    hasReason,
+    forceArchivePost
+  );
+  router.put(
+    '/admin/posts/:id/unarchive',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    postExists,
+    hasReason,
+    forceUnarchivePost
+  );
+  router.delete(
+    '/admin/posts/:id',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    postExists,
+    hasReason,
+    forceDeletePost
+  );
+  router.delete(
+    '/admin/posts/:id/comment/:commentId',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    postExists,
+    commentExists,
+    hasReason,
+    forceDeleteComment
+  );
+  router.get(
+    '/admin/audit/:page',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('admin'),
+    getAuditEntries
+  );
+  router.get(
+    '/admin/settings',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('admin'),
+    getAppSettings
+  );
+  router.put(
+    '/admin/settings/:key',
+    isAuthenticated,
+    sessionOnly,
+    hasRole('admin'),
+    hasReason,
+    updateSetting
+  );
+};
@@ -1,15 +1,81 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 
-import { register, login, logout } from '../controllers/authentication.js';
+import {
+  register,
+  login,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  loginTwoFactor,
+} from '../controllers/authentication.js';
+import {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  removeTwoFactor,
+} from '../controllers/twoFactor.js';
 import {
   isAuthenticated,
+  sessionOnly,
   isValidRegistrationRequestBody,
   success,
 } from '../middlewares/authentication.js';
 
+/**
+ * Rate limiter for the password reset endpoints, so they can't be used to
+ * flood inboxes or guess tokens
+ */
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 requests per 15 minutes per IP
+  message: 'Too many password reset requests, please try again later',
+});
+
+/**
+ * Rate limiter for endpoints taking a two-factor code, so the six digits
+ * can't be brute forced
+ */
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 requests per 15 minutes per IP
+  message: 'Too many attempts, please try again later',
+});
+
 export default (router) => {
   router.post('/auth/register', isValidRegistrationRequestBody, register);
   router.post('/auth/login', login);
+  router.post('/auth/login/2fa', twoFactorLimiter, loginTwoFactor);
   router.get('/auth/isAuthenticated', isAuthenticated, success);
-  router.get('/auth/logout', isAuthenticated, logout);
+  router.get('/auth/logout', isAuthenticated, sessionOnly, logout);
+  router.post('/auth/forgotPassword', passwordResetLimiter, forgotPassword);
+  router.post('/auth/resetPassword', passwordResetLimiter, resetPassword);
+  router.post('/auth/verifyEmail', verifyEmail);
+  router.post(
+    '/auth/resendVerification',
+    isAuthenticated,
+    sessionOnly,
+    resendVerification
+  );
+  router.post(
+    '/auth/2fa/enroll',
+    isAuthenticated,
+    sessionOnly,
+    enrollTwoFactor
+  );
+  router.post(
+    '/auth/2fa/confirm',
+    twoFactorLimiter,
+    isAuthenticated,
+    sessionOnly,
+    confirmTwoFactor
+  );
+  router.post(
+    '/auth/2fa/disable',
+    twoFactorLimiter,
+    isAuthenticated,
+    sessionOnly,
+    removeTwoFactor
+  );
 };
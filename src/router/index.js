@@ -2,6 +2,16 @@ import express from 'express';
 import posts from './posts.js';
 import authentication from './authentication.js';
 import profile from './profile.js';
+import messages from './messages.js';
+import notifications from './notifications.js';
+import search from './search.js';
+import tags from './tags.js';
+import mentions from './mentions.js';
+import media from './media.js';
+import sessions from './sessions.js';
+import accessTokens from './accessTokens.js';
+import admin from './admin.js';
+import reports from './reports.js';
 
 const router = express.Router();
 
@@ -14,5 +24,15 @@ export default () => {
   profile(router);
   posts(router);
   authentication(router);
+  messages(router);
+  notifications(router);
+  search(router);
+  tags(router);
+  mentions(router);
+  media(router);
+  sessions(router);
+  accessTokens(router);
+  admin(router);
+  reports(router);
   return router;
 };
@@ -0,0 +1,12 @@
+import { isAuthenticated, hasScope } from '../middlewares/authentication.js';
+
+import { getMedia } from '../controllers/media.js';
+
+export default (router) => {
+  router.get(
+    '/media/:mediaId',
+    isAuthenticated,
+    hasScope('posts:read'),
+    getMedia
+  );
+};
@@ -0,0 +1,12 @@
+import { isAuthenticated, hasScope } from '../middlewares/authentication.js';
+
+import { getMentions } from '../controllers/mentions.js';
+
+export default (router) => {
+  router.get(
+    '/mentions/:page',
+    isAuthenticated,
+    hasScope('posts:read'),
+    getMentions
+  );
+};
@@ -0,0 +1,92 @@
+import {
+  isAuthenticated,
+  isVerified,
+  hasScope,
+} from '../middlewares/authentication.js';
+
+import {
+  createConversation,
+  getConversations,
+  getUnreadMessageCount,
+  getMessages,
+  sendMessage,
+  markAsRead,
+  updateMessage,
+  deleteMessage,
+} from '../controllers/messages.js';
+import {
+  conversationExists,
+  isConversationParticipant,
+  messageExists,
+  isMessageOwner,
+  participantsExistByUsername,
+  noBlockedParticipants,
+} from '../middlewares/messages.js';
+
+export default (router) => {
+  router.post(
+    '/messages/conversations',
+    isAuthenticated,
+    hasScope('messages:write'),
+    isVerified,
+    participantsExistByUsername,
+    noBlockedParticipants,
+    createConversation
+  );
+  router.get(
+    '/messages/conversations/:page',
+    isAuthenticated,
+    hasScope('messages:read'),
+    getConversations
+  );
+  router.get(
+    '/messages/unreadCount',
+    isAuthenticated,
+    hasScope('messages:read'),
+    getUnreadMessageCount
+  );
+  router.get(
+    '/messages/conversations/:id/:page',
+    isAuthenticated,
+    hasScope('messages:read'),
+    conversationExists,
+    isConversationParticipant,
+    getMessages
+  );
+  router.post(
+    '/messages/conversations/:id',
+    isAuthenticated,
+    hasScope('messages:write'),
+    isVerified,
+    conversationExists,
+    isConversationParticipant,
+    noBlockedParticipants,
+    sendMessage
+  );
+  router.put(
+    '/messages/conversations/:id/read',
+    isAuthenticated,
+    hasScope('messages:write'),
+    conversationExists,
+    isConversationParticipant,
+    markAsRead
+  );
+  router.put(
+    '/messages/:messageId',
+    isAuthenticated,
+    hasScope('messages:write'),
+    messageExists,
+    isConversationParticipant,
+    isMessageOwner,
+    updateMessage
+  );
+  router.delete(
+    '/messages/:messageId',
+    isAuthenticated,
+    hasScope('messages:write'),
+    messageExists,
+    isConversationParticipant,
+    isMessageOwner,
+    deleteMessage
+  );
+};
@@ -0,0 +1,41 @@
+import { isAuthenticated, hasScope } from '../middlewares/authentication.js';
+
+import {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+} from '../controllers/notifications.js';
+import {
+  notificationExists,
+  isNotificationRecipient,
+} from '../middlewares/notifications.js';
+
+export default (router) => {
+  router.get(
+    '/notifications/unreadCount',
+    isAuthenticated,
+    hasScope('notifications:read'),
+    getUnreadCount
+  );
+  router.put(
+    '/notifications/readAll',
+    isAuthenticated,
+    hasScope('notifications:write'),
+    markAllAsRead
+  );
+  router.get(
+    '/notifications/:page',
+    isAuthenticated,
+    hasScope('notifications:read'),
+    getNotifications
+  );
+  router.put(
+    '/notifications/:id/read',
+    isAuthenticated,
+    hasScope('notifications:write'),
+    notificationExists,
+    isNotificationRecipient,
+    markAsRead
+  );
+};
@@ -1,4 +1,8 @@
-import { isAuthenticated } from '../middlewares/authentication.js';
+import {
+  isAuthenticated,
+  isVerified,
+  hasScope,
+} from '../middlewares/authentication.js';
 
 import {
   createPost,
@@ -9,27 +13,74 @@ import {
   deletePost,
   deleteLike,
   updatePost,
+  updateComment,
   getPost,
   getCommsForPost,
+  getRepliesForComm,
   unarchivePost,
   getLikesForPost,
   getPostByUsername,
   getFeed,
+  getArchivedPosts,
+  restoreArchivedPosts,
+  getRevisionsForPost,
+  restorePostRevision,
 } from '../controllers/posts.js';
 import {
   postExists,
+  isPostActive,
   isPostOwner,
   commentExists,
   isCommentOwner,
 } from '../middlewares/posts.js';
 import { userExistsByUsername } from '../middlewares/profile.js';
+import { parsePagination } from '../middlewares/pagination.js';
+import { uploadPostMedia, validatePostMedia } from '../middlewares/media.js';
 
 export default (router) => {
-  router.post('/posts', isAuthenticated, createPost);
-  router.post('/posts/:id/comment', isAuthenticated, postExists, createComment);
+  router.post(
+    '/posts',
+    isAuthenticated,
+    hasScope('posts:write'),
+    isVerified,
+    uploadPostMedia,
+    validatePostMedia,
+    createPost
+  );
+  // Registered before /posts/:id so "archived" is not taken for a post id
+  router.get(
+    '/posts/archived/:page',
+    isAuthenticated,
+    hasScope('posts:read'),
+    parsePagination,
+    getArchivedPosts
+  );
+  router.get(
+    '/posts/archived',
+    isAuthenticated,
+    hasScope('posts:read'),
+    parsePagination,
+    getArchivedPosts
+  );
+  router.put(
+    '/posts/archived/restore',
+    isAuthenticated,
+    hasScope('posts:write'),
+    restoreArchivedPosts
+  );
+  router.post(
+    '/posts/:id/comment',
+    isAuthenticated,
+    hasScope('posts:write'),
+    isVerified,
+    postExists,
+    isPostActive,
+    createComment
+  );
   router.put(
     '/posts/:id/archive',
     isAuthenticated,
+    hasScope('posts:write'),
     postExists,
     isPostOwner,
     archivePost
@@ -37,13 +88,26 @@ export default (router) => {
   router.put(
     '/posts/:id/unarchive',
     isAuthenticated,
+    hasScope('posts:write'),
     postExists,
     isPostOwner,
     unarchivePost
   );
+  router.put(
+    '/posts/:id/comment/:commentId',
+    isAuthenticated,
+    hasScope('posts:write'),
+    isVerified,
+    postExists,
+    isPostActive,
+    commentExists,
+    isCommentOwner,
+    updateComment
+  );
   router.delete(
     '/posts/:id/comment/:commentId',
     isAuthenticated,
+    hasScope('posts:write'),
     postExists,
     commentExists,
     isCommentOwner,
@@ -52,6 +116,7 @@ export default (router) => {
   router.delete(
     '/posts/:id/delete',
     isAuthenticated,
+    hasScope('posts:write'),
     postExists,
     isPostOwner,
     deletePost
@@ -59,25 +124,174 @@ export default (router) => {
   router.put(
     '/posts/:id',
     isAuthenticated,
+    hasScope('posts:write'),
+    isVerified,
     postExists,
+    isPostActive,
     isPostOwner,
     updatePost
   );
-  router.get('/posts/:id', isAuthenticated, postExists, getPost);
-  router.get('/posts/user/:username/:page', isAuthenticated, userExistsByUsername, getPostByUsername);
+  router.get(
+    '/posts/:id',
+    isAuthenticated,
+    hasScope('posts:read'),
+    postExists,
+    getPost
+  );
+  router.get(
+    '/posts/:id/:page/revisions',
+    isAuthenticated,
+    hasScope('posts:read'),
+    postExists,
+    parsePagination,
+    getRevisionsForPost
+  );
+  router.get(
+    '/posts/:id/revisions',
+    isAuthenticated,
+    hasScope('posts:read'),
+    postExists,
+    parsePagination,
+    getRevisionsForPost
+  );
+  router.put(
+    '/posts/:id/revisions/:revisionId/restore',
+    isAuthenticated,
+    hasScope('posts:write'),
+    isVerified,
+    postExists,
+    isPostActive,
+    isPostOwner,
+    restorePostRevision
+  );
+  router.get(
+    '/posts/user/:username/:page',
+    isAuthenticated,
+    hasScope('posts:read'),
+    userExistsByUsername,
+    parsePagination,
+    getPostByUsername
+  );
+  router.get(
+    '/posts/user/:username',
+    isAuthenticated,
+    hasScope('posts:read'),
+    userExistsByUsername,
+    parsePagination,
+    getPostByUsername
+  );
   router.get(
     '/posts/:id/:page/likes',
     isAuthenticated,
+    hasScope('posts:read'),
+    postExists,
+    isPostActive,
+    parsePagination,
+    getLikesForPost
+  );
+  router.get(
+    '/posts/:id/likes',
+    isAuthenticated,
+    hasScope('posts:read'),
     postExists,
+    isPostActive,
+    parsePagination,
     getLikesForPost
   );
   router.get(
     '/posts/:id/:page/allComments',
     isAuthenticated,
+    hasScope('posts:read'),
+    postExists,
+    isPostActive,
+    parsePagination,
+    getCommsForPost
+  );
+  router.get(
+    '/posts/:id/comments',
+    isAuthenticated,
+    hasScope('posts:read'),
     postExists,
+    isPostActive,
+    parsePagination,
     getCommsForPost
   );
-  router.post('/posts/:id/like', isAuthenticated, postExists, createLike);
-  router.delete('/posts/:id/delLike', isAuthenticated, postExists, deleteLike);
-  router.get('/feed/:page', isAuthenticated, getFeed);
+  router.get(
+    '/posts/:id/comment/:commentId/:page/replies',
+    isAuthenticated,
+    hasScope('posts:read'),
+    postExists,
+    isPostActive,
+    commentExists,
+    parsePagination,
+    getRepliesForComm
+  );
+  router.get(
+    '/posts/:id/comment/:commentId/replies',
+    isAuthenticated,
+    hasScope('posts:read'),
+    postExists,
+    isPostActive,
+    commentExists,
+    parsePagination,
+    getRepliesForComm
+  );
+  router.post(
+    '/posts/:id/like',
+    isAuthenticated,
+    hasScope('posts:write'),
+    postExists,
+    isPostActive,
+    createLike
+  );
+  router.delete(
+    '/posts/:id/delLike',
+    isAuthenticated,
+    hasScope('posts:write'),
+    postExists,
+    isPostActive,
+    deleteLike
+  );
+  router.post(
+    '/posts/:id/comment/:commentId/like',
+    isAuthenticated,
+    hasScope('posts:write'),
+    postExists,
+    isPostActive,
+    commentExists,
+    createLike
+  );
+  router.delete(
+    '/posts/:id/comment/:commentId/delLike',
+    isAuthenticated,
+    hasScope('posts:write'),
+    postExists,
+    isPostActive,
+    commentExists,
+    deleteLike
+  );
+  router.get(
+    '/posts/:id/comment/:commentId/:page/likes',
+    isAuthenticated,
+    hasScope('posts:read'),
+    postExists,
+    isPostActive,
+    commentExists,
+    parsePagination,
+    getLikesForPost
+  );
+  router.get(
+    '/feed/:page',
+    isAuthenticated,
+    hasScope('posts:read'),
+    parsePagination,
+    getFeed
+  );
+  router.get(
+    '/feed',
+    isAuthenticated,
+    hasScope('posts:read'),
+    parsePagination,
+    getFeed
+  );
 };
@@ -1,5 +1,9 @@
 import express from 'express';
-import { isAuthenticated } from '../middlewares/authentication.js';
+import {
+  isAuthenticated,
+  hasScope,
+  sessionOnly,
+} from '../middlewares/authentication.js';
 import {
   updateProfile,
   archiveProfile,
@@ -8,6 +12,23 @@ import {
   unarchiveProfile,
   getUserPublicInfo,
   getUsers,
+  followUser,
+  unfollowUser,
+  getFollowersList,
+  getFollowingList,
+  autocompleteUsernames,
+  getAvatar,
+  changeEmail,
+  blockUser,
+  unblockUser,
+  getBlockedList,
+  muteUser,
+  unmuteUser,
+  getMutedList,
+  setPrivacy,
+  getFollowRequestsList,
+  approveFollower,
+  denyFollower,
 } from '../controllers/profile.js';
 import {
   isProfileOwner,
@@ -17,30 +38,165 @@ import {
 import { userExistsByUsername } from '../middlewares/profile.js';
 
 export default (router) => {
-  router.get('/profile', isAuthenticated, getFullProfile, getProfile);
-  router.get('/profile/user/:username', isAuthenticated, userExistsByUsername, getUserPublicInfo);
-  router.get('/profile/userList', isAuthenticated, getUsers);
+  router.get(
+    '/profile',
+    isAuthenticated,
+    hasScope('profile:read'),
+    getFullProfile,
+    getProfile
+  );
+  router.get(
+    '/profile/user/:username',
+    isAuthenticated,
+    hasScope('profile:read'),
+    userExistsByUsername,
+    getUserPublicInfo
+  );
+  router.get(
+    '/profile/userList',
+    isAuthenticated,
+    hasScope('profile:read'),
+    getUsers
+  );
+  router.get(
+    '/profile/autocomplete',
+    isAuthenticated,
+    hasScope('profile:read'),
+    autocompleteUsernames
+  );
+  router.get(
+    '/avatars/:username',
+    isAuthenticated,
+    hasScope('profile:read'),
+    userExistsByUsername,
+    getAvatar
+  );
+  router.post(
+    '/profile/user/:username/follow',
+    isAuthenticated,
+    hasScope('profile:write'),
+    userExistsByUsername,
+    followUser
+  );
+  router.delete(
+    '/profile/user/:username/follow',
+    isAuthenticated,
+    hasScope('profile:write'),
+    userExistsByUsername,
+    unfollowUser
+  );
+  router.get(
+    '/profile/user/:username/followers/:page',
+    isAuthenticated,
+    hasScope('profile:read'),
+    userExistsByUsername,
+    getFollowersList
+  );
+  router.get(
+    '/profile/user/:username/following/:page',
+    isAuthenticated,
+    hasScope('profile:read'),
+    userExistsByUsername,
+    getFollowingList
+  );
+  router.post(
+    '/profile/user/:username/block',
+    isAuthenticated,
+    hasScope('profile:write'),
+    userExistsByUsername,
+    blockUser
+  );
+  router.delete(
+    '/profile/user/:username/block',
+    isAuthenticated,
+    hasScope('profile:write'),
+    userExistsByUsername,
+    unblockUser
+  );
+  router.post(
+    '/profile/user/:username/mute',
+    isAuthenticated,
+    hasScope('profile:write'),
+    userExistsByUsername,
+    muteUser
+  );
+  router.delete(
+    '/profile/user/:username/mute',
+    isAuthenticated,
+    hasScope('profile:write'),
+    userExistsByUsername,
+    unmuteUser
+  );
+  router.get(
+    '/profile/blocked/:page',
+    isAuthenticated,
+    hasScope('profile:read'),
+    getBlockedList
+  );
+  router.get(
+    '/profile/muted/:page',
+    isAuthenticated,
+    hasScope('profile:read'),
+    getMutedList
+  );
+  router.put(
+    '/profile/privacy',
+    isAuthenticated,
+    hasScope('profile:write'),
+    setPrivacy
+  );
+  router.get(
+    '/profile/followRequests/:page',
+    isAuthenticated,
+    hasScope('profile:read'),
+    getFollowRequestsList
+  );
+  router.put(
+    '/profile/followRequests/:username/approve',
+    isAuthenticated,
+    hasScope('profile:write'),
+    userExistsByUsername,
+    approveFollower
+  );
+  router.delete(
+    '/profile/followRequests/:username',
+    isAuthenticated,
+    hasScope('profile:write'),
+    userExistsByUsername,
+    denyFollower
+  );
   router.put(
     '/profile',
     isAuthenticated,
+    hasScope('profile:write'),
     checkUpdateProfilePayload,
     updateProfile
   );
+  router.put(
+    '/profile/email',
+    isAuthenticated,
+    sessionOnly,
+    getFullProfile,
+    changeEmail
+  );
   router.put(
     '/profile/archive',
     isAuthenticated,
+    hasScope('profile:write'),
     isProfileOwner,
     archiveProfile
   );
   router.delete(
     '/profile/delete',
     isAuthenticated,
+    sessionOnly,
     isProfileOwner,
     deleteProfile
   );
   router.put(
     '/profile/unarchive',
     isAuthenticated,
+    hasScope('profile:write'),
     isProfileOwner,
     unarchiveProfile
   );
@@ -0,0 +1,65 @@
+import {
+  isAuthenticated,
+  hasScope,
+  hasRole,
+} from '../middlewares/authentication.js';
+
+import {
+  createReport,
+  getMyReports,
+  getQueue,
+  dismissReport,
+  hideReportedContent,
+  suspendReportedUser,
+} from '../controllers/reports.js';
+import { reportExists } from '../middlewares/reports.js';
+import { hasReason } from '../middlewares/admin.js';
+
+export default (router) => {
+  router.post(
+    '/reports',
+    isAuthenticated,
+    hasScope('posts:write'),
+    createReport
+  );
+  router.get(
+    '/reports/mine/:page',
+    isAuthenticated,
+    hasScope('posts:read'),
+    getMyReports
+  );
+  router.get(
+    '/admin/reports/:page',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    getQueue
+  );
+  router.put(
+    '/admin/reports/:id/dismiss',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    reportExists,
+    hasReason,
+    dismissReport
+  );
+  router.put(
+    '/admin/reports/:id/hide',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    reportExists,
+    hasReason,
+    hideReportedContent
+  );
+  router.put(
+    '/admin/reports/:id/suspend',
+    isAuthenticated,
+    hasScope('moderation'),
+    hasRole('moderator'),
+    reportExists,
+    hasReason,
+    suspendReportedUser
+  );
+};
@@ -0,0 +1,7 @@
+import { isAuthenticated, hasScope } from '../middlewares/authentication.js';
+
+import { search } from '../controllers/search.js';
+
+export default (router) => {
+  router.get('/search', isAuthenticated, hasScope('posts:read'), search);
+};
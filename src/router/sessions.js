@@ -0,0 +1,24 @@
+import { isAuthenticated, sessionOnly } from '../middlewares/authentication.js';
+
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from '../controllers/sessions.js';
+
+export default (router) => {
+  router.get('/auth/sessions', isAuthenticated, sessionOnly, getSessions);
+  // Everything but the session making the request
+  router.delete(
+    '/auth/sessions',
+    isAuthenticated,
+    sessionOnly,
+    revokeOtherSessions
+  );
+  router.delete(
+    '/auth/sessions/:id',
+    isAuthenticated,
+    sessionOnly,
+    revokeSession
+  );
+};
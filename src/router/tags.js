@@ -0,0 +1,18 @@
+import { isAuthenticated, hasScope } from '../middlewares/authentication.js';
+
+import { getTagTimeline, getTrendingTags } from '../controllers/tags.js';
+
+export default (router) => {
+  router.get(
+    '/tags/trending',
+    isAuthenticated,
+    hasScope('posts:read'),
+    getTrendingTags
+  );
+  router.get(
+    '/tags/:tag/:page',
+    isAuthenticated,
+    hasScope('posts:read'),
+    getTagTimeline
+  );
+};
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Folder the files are written to, relative to where the server is started
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || 'uploads');
+
+const ID_REGEX = /^[0-9a-f]{32}$/;
+
+const filePath = (id) => path.join(MEDIA_DIR, id);
+const metaPath = (id) => path.join(MEDIA_DIR, `${id}.json`);
+
+/**
+ * Media store keeping files on the local disk, next to a small JSON file
+ * holding their content type.
+ */
+export default {
+  save: async (buffer, { filename, contentType }) => {
+    await fs.promises.mkdir(MEDIA_DIR, { recursive: true });
+    const id = crypto.randomBytes(16).toString('hex');
+    await fs.promises.writeFile(filePath(id), buffer);
+    await fs.promises.writeFile(
+      metaPath(id),
+      JSON.stringify({ filename, contentType })
+    );
+    return id;
+  },
+
+  open: async (id) => {
+    if (!ID_REGEX.test(id)) return null;
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(metaPath(id), 'utf8'));
+      const { size } = await fs.promises.stat(filePath(id));
+      return {
+        stream: fs.createReadStream(filePath(id)),
+        contentType: meta.contentType,
+        length: size,
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  remove: async (id) => {
+    if (!ID_REGEX.test(id)) return;
+    await fs.promises.rm(filePath(id), { force: true });
+    await fs.promises.rm(metaPath(id), { force: true });
+  },
+};
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const BUCKET_NAME = 'media';
+
+// The bucket needs an open connection, so it is created on first use
+let bucket = null;
+const getBucket = () => {
+  if (!bucket) {
+    bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+      bucketName: BUCKET_NAME,
+    });
+  }
+  return bucket;
+};
+
+const toObjectId = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return new mongoose.Types.ObjectId(id);
+};
+
+/**
+ * Media store keeping files in MongoDB GridFS.
+ */
+export default {
+  save: (buffer, { filename, contentType }) =>
+    new Promise((resolve, reject) => {
+      const upload = getBucket().openUploadStream(filename, {
+        metadata: { contentType },
+      });
+      upload.once('error', reject);
+      upload.once('finish', () => resolve(upload.id.toString()));
+      upload.end(buffer);
+    }),
+
+  open: async (id) => {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+    const [file] = await getBucket().find({ _id }).toArray();
+    if (!file) return null;
+    return {
+      stream: getBucket().openDownloadStream(_id),
+      contentType: file.metadata?.contentType,
+      length: file.length,
+    };
+  },
+
+  remove: async (id) => {
+    const _id = toObjectId(id);
+    if (!_id) return;
+    try {
+      await getBucket().delete(_id);
+    } catch (error) {
+      // already gone
+      if (!/File not found/i.test(error.message)) throw error;
+    }
+  },
+};
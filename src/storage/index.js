@@ -0,0 +1,36 @@
+import gridfs from './gridfs.js';
+import disk from './disk.js';
+
+// Available media stores; pick one with the MEDIA_STORE environment variable
+const stores = { gridfs, disk };
+
+const store = stores[process.env.MEDIA_STORE || 'gridfs'];
+if (!store) {
+  throw new Error(`Unknown MEDIA_STORE "${process.env.MEDIA_STORE}"`);
+}
+
+/**
+ * save media function. Stores a file in the configured media store.
+ *
+ * @param buffer - file contents
+ * @param options - { filename, contentType }
+ *
+ * @returns the id of the stored file
+ */
+export const saveMedia = (buffer, options) => store.save(buffer, options);
+
+/**
+ * open media function. Opens a stored file for reading.
+ *
+ * @param id - id returned by saveMedia
+ *
+ * @returns { stream, contentType, length }, or null when there is no such file
+ */
+export const openMedia = (id) => store.open(id);
+
+/**
+ * delete media function. Removes a stored file; missing files are ignored.
+ *
+ * @param id - id returned by saveMedia
+ */
+export const deleteMedia = (id) => store.remove(id);
@@ -0,0 +1,219 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+
+import { hashToken } from '../src/helpers/index.js';
+import { AccessTokenModel } from '../src/db/accessTokens.js';
+import { SessionModel, SESSION_IDLE_TTL } from '../src/db/sessions.js';
+import { UserModel } from '../src/db/users.js';
+import {
+  hasRole,
+  hasScope,
+  isAuthenticated,
+  sessionOnly,
+} from '../src/middlewares/authentication.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const answer = (req, res) => res.status(200).json({ ok: true });
+
+const app = express();
+app.use(cookieParser());
+app.get('/me', isAuthenticated, (req, res) =>
+  res.status(200).json({ username: req.identity.username })
+);
+app.get('/posts', isAuthenticated, hasScope('posts:read'), answer);
+app.get('/settings', isAuthenticated, sessionOnly, answer);
+app.get('/queue', isAuthenticated, hasRole('moderator'), answer);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// In-memory stand-ins for the collections the middlewares read
+let users;
+let sessions;
+let accessTokens;
+
+const addUser = (values) => {
+  const user = new UserModel({
+    username: 'duck',
+    email: 'duck@example.com',
+    ...values,
+  });
+  users.set(user._id.toString(), user);
+  return user;
+};
+
+const addSession = (user, values = {}) => {
+  const token = `session-${sessions.size}`;
+  sessions.set(
+    hashToken(token),
+    new SessionModel({
+      session_user_id: user._id,
+      session_token_hash: hashToken(token),
+      session_expires_at: new Date(Date.now() + DAY),
+      ...values,
+    })
+  );
+  return token;
+};
+
+const addAccessToken = (user, scopes, values = {}) => {
+  const token = `token-${accessTokens.size}`;
+  accessTokens.set(
+    hashToken(token),
+    new AccessTokenModel({
+      token_user_id: user._id,
+      token_name: 'script',
+      token_hash: hashToken(token),
+      token_scopes: scopes,
+      token_last_used_at: new Date(),
+      ...values,
+    })
+  );
+  return token;
+};
+
+beforeEach(() => {
+  users = new Map();
+  sessions = new Map();
+  accessTokens = new Map();
+  mock.method(UserModel, 'findById', async (id) => users.get(id.toString()));
+  mock.method(
+    SessionModel,
+    'findOne',
+    async ({ session_token_hash }) => sessions.get(session_token_hash) || null
+  );
+  mock.method(SessionModel, 'deleteOne', async () => ({}));
+  mock.method(
+    AccessTokenModel,
+    'findOne',
+    async ({ token_hash }) => accessTokens.get(token_hash) || null
+  );
+});
+
+afterEach(() => mock.restoreAll());
+
+const request = async (path, { session, token } = {}) => {
+  const headers = {};
+  if (session) headers.cookie = `session_token=${session}`;
+  if (token) headers.authorization = `Bearer ${token}`;
+  const response = await fetch(`${baseUrl}${path}`, { headers });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('isAuthenticated', () => {
+  it('refuses requests without credentials', async () => {
+    const { status, body } = await request('/me');
+    assert.equal(status, 403);
+    assert.equal(body.error, 'No session token');
+  });
+
+  it('lets a live session through as its user', async () => {
+    const session = addSession(addUser({ username: 'mallard' }));
+    const { status, body } = await request('/me', { session });
+    assert.equal(status, 200);
+    assert.equal(body.username, 'mallard');
+  });
+
+  it('refuses unknown and expired sessions', async () => {
+    const user = addUser();
+    const expired = addSession(user, {
+      session_expires_at: new Date(Date.now() - 1),
+    });
+    const idle = addSession(user, {
+      session_last_seen_at: new Date(Date.now() - SESSION_IDLE_TTL - 1),
+    });
+    for (const session of ['unknown', expired, idle]) {
+      const { status, body } = await request('/me', { session });
+      assert.equal(status, 403);
+      assert.equal(body.error, 'Invalid session token');
+    }
+  });
+
+  it('lets a live access token through as its user', async () => {
+    const token = addAccessToken(addUser({ username: 'teal' }), []);
+    const { status, body } = await request('/me', { token });
+    assert.equal(status, 200);
+    assert.equal(body.username, 'teal');
+  });
+
+  it('refuses unknown and expired access tokens', async () => {
+    const expired = addAccessToken(addUser(), [], {
+      token_expires_at: new Date(Date.now() - 1),
+    });
+    for (const token of ['unknown', expired]) {
+      const { status, body } = await request('/me', { token });
+      assert.equal(status, 403);
+      assert.equal(body.error, 'Invalid access token');
+    }
+  });
+
+  it('refuses suspended users', async () => {
+    const user = addUser({ profile_is_suspended: true });
+    const session = addSession(user);
+    const token = addAccessToken(user, []);
+    assert.equal((await request('/me', { session })).status, 403);
+    assert.equal((await request('/me', { token })).status, 403);
+  });
+
+  it('lets users back in once their suspension ends', async () => {
+    const user = addUser({
+      profile_is_suspended: true,
+      profile_suspended_until: new Date(Date.now() - 1),
+    });
+    const session = addSession(user);
+    assert.equal((await request('/me', { session })).status, 200);
+  });
+});
+
+describe('access control', () => {
+  it('limits access tokens to their scopes', async () => {
+    const user = addUser();
+    const reader = addAccessToken(user, ['posts:read']);
+    const writer = addAccessToken(user, ['posts:write']);
+    assert.equal((await request('/posts', { token: reader })).status, 200);
+    const { status, body } = await request('/posts', { token: writer });
+    assert.equal(status, 403);
+    assert.match(body.error, /missing the posts:read scope/);
+  });
+
+  it('gives sessions every scope', async () => {
+    const session = addSession(addUser());
+    assert.equal((await request('/posts', { session })).status, 200);
+  });
+
+  it('keeps access tokens out of session only routes', async () => {
+    const user = addUser();
+    const token = addAccessToken(user, ['profile:write']);
+    const session = addSession(user);
+    assert.equal((await request('/settings', { token })).status, 403);
+    assert.equal((await request('/settings', { session })).status, 200);
+  });
+
+  it('lets only users with the role or a higher one through', async () => {
+    const user = addSession(addUser({ role: 'user' }));
+    const moderator = addSession(addUser({ role: 'moderator' }));
+    const admin = addSession(addUser({ role: 'admin' }));
+    assert.equal((await request('/queue', { session: user })).status, 403);
+    assert.equal((await request('/queue', { session: moderator })).status, 200);
+    assert.equal((await request('/queue', { session: admin })).status, 200);
+  });
+});
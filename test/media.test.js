@@ -0,0 +1,168 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import fs from 'fs';
+import sharp from 'sharp';
+
+import {
+  MAX_IMAGE_SIZE,
+  uploadPostMedia,
+  validatePostMedia,
+} from '../src/middlewares/media.js';
+
+const fixture = (name) =>
+  fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+// Runs the upload middlewares and answers with what they let through
+const app = express();
+app.post('/upload', uploadPostMedia, validatePostMedia, (req, res) => {
+  res.status(200).json(
+    req.post_media_files.map(({ buffer, ...file }) => ({
+      ...file,
+      base64: buffer.toString('base64'),
+    }))
+  );
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const upload = async (files) => {
+  const form = new FormData();
+  for (const { buffer, type, name } of files) {
+    form.append('media', new Blob([buffer], { type }), name);
+  }
+  const response = await fetch(`${baseUrl}/upload`, {
+    method: 'POST',
+    body: form,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const photo = () =>
+  sharp({
+    create: { width: 40, height: 20, channels: 3, background: 'blue' },
+  })
+    .jpeg()
+    .withMetadata({
+      orientation: 6,
+      exif: { IFD0: { Copyright: 'Taken at home' } },
+    })
+    .toBuffer();
+
+describe('post media uploads', () => {
+  it('strips EXIF data from images and turns them upright', async () => {
+    const { status, body } = await upload([
+      { buffer: await photo(), type: 'image/jpeg', name: 'photo.jpg' },
+    ]);
+    assert.equal(status, 200);
+    assert.equal(body.length, 1);
+    assert.equal(body[0].media_type, 'image');
+    assert.equal(body[0].width, 20);
+    assert.equal(body[0].height, 40);
+
+    const stored = Buffer.from(body[0].base64, 'base64');
+    assert.equal(body[0].size, stored.length);
+    const metadata = await sharp(stored).metadata();
+    assert.equal(metadata.exif, undefined);
+    assert.equal(metadata.orientation, undefined);
+  });
+
+  it('keeps every frame of an animated image', async () => {
+    const { status, body } = await upload([
+      { buffer: fixture('anim.gif'), type: 'image/gif', name: 'anim.gif' },
+    ]);
+    assert.equal(status, 200);
+    assert.equal(body[0].width, 20);
+    assert.equal(body[0].height, 10);
+    const metadata = await sharp(
+      Buffer.from(body[0].base64, 'base64')
+    ).metadata();
+    assert.equal(metadata.pages, 3);
+  });
+
+  it('reads the size of a video from the file', async () => {
+    const { status, body } = await upload([
+      { buffer: fixture('short.mp4'), type: 'video/mp4', name: 'clip.mp4' },
+    ]);
+    assert.equal(status, 200);
+    assert.equal(body[0].media_type, 'video');
+    assert.equal(body[0].width, 64);
+    assert.equal(body[0].height, 48);
+  });
+
+  it('rejects files that are not what they claim to be', async () => {
+    const text = Buffer.from('not an image');
+    let response = await upload([
+      { buffer: text, type: 'image/png', name: 'fake.png' },
+    ]);
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /not a valid image/);
+
+    response = await upload([
+      { buffer: await photo(), type: 'image/png', name: 'photo.png' },
+    ]);
+    assert.equal(response.status, 400);
+
+    response = await upload([
+      { buffer: fixture('short.webm'), type: 'video/mp4', name: 'clip.mp4' },
+    ]);
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /not a valid video/);
+
+    const truncated = fixture('short.mp4').subarray(0, 200);
+    response = await upload([
+      { buffer: truncated, type: 'video/mp4', name: 'clip.mp4' },
+    ]);
+    assert.equal(response.status, 400);
+  });
+
+  it('rejects other file types', async () => {
+    const { status, body } = await upload([
+      {
+        buffer: Buffer.from('%PDF-1.4'),
+        type: 'application/pdf',
+        name: 'a.pdf',
+      },
+    ]);
+    assert.equal(status, 400);
+    assert.match(body.error, /Attachments must be one of/);
+  });
+
+  it('rejects videos longer than a minute', async () => {
+    const { status, body } = await upload([
+      { buffer: fixture('long.webm'), type: 'video/webm', name: 'long.webm' },
+    ]);
+    assert.equal(status, 400);
+    assert.match(body.error, /at most 60 seconds/);
+  });
+
+  it('rejects a video alongside other attachments', async () => {
+    const { status, body } = await upload([
+      { buffer: fixture('short.mp4'), type: 'video/mp4', name: 'clip.mp4' },
+      { buffer: await photo(), type: 'image/jpeg', name: 'photo.jpg' },
+    ]);
+    assert.equal(status, 400);
+    assert.match(body.error, /either images or a single video/);
+  });
+
+  it('rejects images over the size limit', async () => {
+    const { status, body } = await upload([
+      {
+        buffer: Buffer.alloc(MAX_IMAGE_SIZE + 1),
+        type: 'image/png',
+        name: 'huge.png',
+      },
+    ]);
+    assert.equal(status, 400);
+    assert.match(body.error, /Images must be at most 5 MB/);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+import {
+  hashPassword,
+  passwordNeedsRehash,
+  verifyPassword,
+} from '../src/helpers/index.js';
+
+// How passwords were stored before scrypt
+const legacyHash = (salt, password) =>
+  crypto
+    .createHmac('sha256', [salt, password].join('/'))
+    .update('CHANGE_ME_PLEASE_PUT_IN_ENV_FILE')
+    .digest('hex');
+
+describe('password hashing', () => {
+  it('verifies a password against its scrypt hash', async () => {
+    const hash = await hashPassword('correct horse');
+    assert.match(hash, /^\$scrypt\$N=16384,r=8,p=1\$/);
+    assert.equal(await verifyPassword('correct horse', hash), true);
+    assert.equal(await verifyPassword('wrong horse', hash), false);
+  });
+
+  it('salts every hash', async () => {
+    const first = await hashPassword('correct horse');
+    const second = await hashPassword('correct horse');
+    assert.notEqual(first, second);
+  });
+
+  it('verifies legacy hashes with their salt', async () => {
+    const salt = crypto.randomBytes(128).toString('base64');
+    const hash = legacyHash(salt, 'correct horse');
+    assert.equal(await verifyPassword('correct horse', hash, salt), true);
+    assert.equal(await verifyPassword('wrong horse', hash, salt), false);
+    assert.equal(await verifyPassword('correct horse', hash), false);
+  });
+
+  it('refuses passwords that are not strings', async () => {
+    const hash = await hashPassword('correct horse');
+    assert.equal(await verifyPassword(undefined, hash), false);
+    assert.equal(await verifyPassword({ $ne: null }, hash), false);
+    assert.equal(await verifyPassword('correct horse', undefined), false);
+  });
+
+  it('asks for legacy and weaker hashes to be replaced', async () => {
+    assert.equal(passwordNeedsRehash(await hashPassword('pw')), false);
+    assert.equal(passwordNeedsRehash(legacyHash('salt', 'pw')), true);
+    assert.equal(passwordNeedsRehash('$scrypt$N=1024,r=8,p=1$salt$key'), true);
+  });
+});
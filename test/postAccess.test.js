@@ -0,0 +1,166 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+import { BlockModel } from '../src/db/blocks.js';
+import { FollowModel } from '../src/db/follows.js';
+import { getPostAccess, PostsModel } from '../src/db/posts.js';
+import { UserModel } from '../src/db/users.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// In-memory stand-ins for the collections getPostAccess reads
+let users;
+let blocks;
+let follows;
+
+const addUser = (values = {}) => {
+  const user = new UserModel({
+    username: `duck${users.size}`,
+    email: `duck${users.size}@example.com`,
+    ...values,
+  });
+  users.set(user._id.toString(), user);
+  return user;
+};
+
+const newPost = (owner, values = {}) =>
+  new PostsModel({
+    post_owner_id: owner._id,
+    post_content: 'Quack',
+    ...values,
+  });
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (key === '$or') return value.some((option) => matches(doc, option));
+    if (value && typeof value === 'object' && '$ne' in value) {
+      return doc[key] !== value.$ne;
+    }
+    return String(doc[key]) === String(value);
+  });
+
+beforeEach(() => {
+  users = new Map();
+  blocks = [];
+  follows = [];
+  mock.method(UserModel, 'findById', (userId) => ({
+    select: async () => users.get(userId.toString()) || null,
+  }));
+  mock.method(BlockModel, 'exists', async (filter) =>
+    blocks.some((block) => matches(block, filter)) ? { _id: id() } : null
+  );
+  mock.method(FollowModel, 'exists', async (filter) =>
+    follows.some((follow) => matches(follow, filter)) ? { _id: id() } : null
+  );
+});
+
+afterEach(() => mock.restoreAll());
+
+const block = (blocker, blocked, block_type = 'block') =>
+  blocks.push({ blocker_id: blocker._id, blocked_id: blocked._id, block_type });
+
+const follow = (follower, following, follow_status = 'accepted') =>
+  follows.push({
+    follower_id: follower._id,
+    following_id: following._id,
+    follow_status,
+  });
+
+describe('getPostAccess', () => {
+  it('shows public posts to everyone', async () => {
+    const post = newPost(addUser());
+    assert.equal(await getPostAccess(addUser(), post), 'visible');
+  });
+
+  it('always shows owners their own posts', async () => {
+    const owner = addUser({ profile_is_archived: true });
+    const post = newPost(owner, {
+      post_visibility: 'only_me',
+      post_is_archived: true,
+    });
+    assert.equal(await getPostAccess(owner, post), 'visible');
+  });
+
+  it('hides posts across a block, in both directions', async () => {
+    const owner = addUser();
+    const blocker = addUser();
+    const blocked = addUser();
+    block(blocker, owner);
+    block(owner, blocked);
+    const post = newPost(owner);
+    assert.equal(await getPostAccess(blocker, post), 'blocked');
+    assert.equal(await getPostAccess(blocked, post), 'blocked');
+  });
+
+  it('does not hide posts from muted users', async () => {
+    const owner = addUser();
+    const viewer = addUser();
+    block(viewer, owner, 'mute');
+    assert.equal(await getPostAccess(viewer, newPost(owner)), 'visible');
+  });
+
+  it('shows follower posts to accepted followers only', async () => {
+    const owner = addUser();
+    const follower = addUser();
+    const requester = addUser();
+    follow(follower, owner);
+    follow(requester, owner, 'pending');
+    const post = newPost(owner, { post_visibility: 'followers' });
+    assert.equal(await getPostAccess(follower, post), 'visible');
+    assert.equal(await getPostAccess(requester, post), 'hidden');
+    assert.equal(await getPostAccess(addUser(), post), 'hidden');
+  });
+
+  it('treats every post of a private account as a follower post', async () => {
+    const owner = addUser({ profile_is_private: true });
+    const follower = addUser();
+    follow(follower, owner);
+    const post = newPost(owner);
+    assert.equal(await getPostAccess(follower, post), 'visible');
+    assert.equal(await getPostAccess(addUser(), post), 'hidden');
+  });
+
+  it('hides only_me posts from everyone else', async () => {
+    const owner = addUser();
+    const follower = addUser();
+    follow(follower, owner);
+    const post = newPost(owner, { post_visibility: 'only_me' });
+    assert.equal(await getPostAccess(follower, post), 'hidden');
+  });
+
+  it('reports archived posts and posts of archived profiles', async () => {
+    const owner = addUser();
+    const viewer = addUser();
+    const archived = newPost(owner, { post_is_archived: true });
+    assert.equal(await getPostAccess(viewer, archived), 'archived');
+    const archivedOwner = addUser({ profile_is_archived: true });
+    assert.equal(
+      await getPostAccess(viewer, newPost(archivedOwner)),
+      'archived'
+    );
+  });
+
+  it('does not tell strangers a hidden post is archived', async () => {
+    const owner = addUser({ profile_is_private: true });
+    const post = newPost(owner, { post_is_archived: true });
+    assert.equal(await getPostAccess(addUser(), post), 'hidden');
+  });
+
+  it('shows moderators any post unless a block stands between them', async () => {
+    const owner = addUser({ profile_is_private: true });
+    const moderator = addUser({ role: 'moderator' });
+    const post = newPost(owner, {
+      post_visibility: 'only_me',
+      post_is_archived: true,
+    });
+    assert.equal(await getPostAccess(moderator, post), 'visible');
+    block(owner, moderator);
+    assert.equal(await getPostAccess(moderator, post), 'blocked');
+  });
+
+  it('hides posts whose owner is gone', async () => {
+    const post = newPost({ _id: id() });
+    assert.equal(await getPostAccess(addUser(), post), 'hidden');
+  });
+});
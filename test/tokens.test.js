@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { signToken, verifySignedToken } from '../src/helpers/index.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('signed tokens', () => {
+  it('carry their payload for the purpose they were signed for', () => {
+    const token = signToken({ purpose: 'verify-email', sub: 'u1' }, HOUR);
+    const payload = verifySignedToken(token, 'verify-email');
+    assert.equal(payload.sub, 'u1');
+    assert.equal(payload.purpose, 'verify-email');
+  });
+
+  it('are refused for another purpose', () => {
+    const token = signToken({ purpose: 'verify-email', sub: 'u1' }, HOUR);
+    assert.equal(verifySignedToken(token, 'reset-password'), null);
+  });
+
+  it('are refused once expired', (t) => {
+    const token = signToken({ purpose: 'verify-email' }, HOUR);
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + HOUR + 1);
+    assert.equal(verifySignedToken(token, 'verify-email'), null);
+  });
+
+  it('are refused when the payload was changed', () => {
+    const token = signToken({ purpose: 'verify-email', sub: 'u1' }, HOUR);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({
+        purpose: 'verify-email',
+        sub: 'u2',
+        exp: Date.now() + HOUR,
+      })
+    ).toString('base64url');
+    assert.equal(
+      verifySignedToken(`${forged}.${signature}`, 'verify-email'),
+      null
+    );
+  });
+
+  it('are refused when the signature was changed or is missing', () => {
+    const token = signToken({ purpose: 'verify-email' }, HOUR);
+    const [body, signature] = token.split('.');
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+    assert.equal(verifySignedToken(`${body}.${flipped}`, 'verify-email'), null);
+    assert.equal(verifySignedToken(`${body}.`, 'verify-email'), null);
+    assert.equal(verifySignedToken(body, 'verify-email'), null);
+  });
+
+  it('are refused when not a string', () => {
+    assert.equal(verifySignedToken(undefined, 'verify-email'), null);
+    assert.equal(
+      verifySignedToken({ purpose: 'verify-email' }, 'verify-email'),
+      null
+    );
+  });
+});
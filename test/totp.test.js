@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  generateRecoveryCode,
+  generateTotpSecret,
+  totpUri,
+  verifyTotp,
+} from '../src/helpers/index.js';
+
+// RFC 6238 test secret "12345678901234567890", base32 encoded. At
+// 1111111109 seconds past the epoch its 8 digit SHA-1 code is 07081804.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_TIME = 1111111109 * 1000;
+const RFC_STEP = 37037036;
+const RFC_CODE = '081804';
+
+describe('two-factor codes', () => {
+  it('accepts the code for the current time step', (t) => {
+    t.mock.method(Date, 'now', () => RFC_TIME);
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE), RFC_STEP);
+  });
+
+  it('accepts codes one step early or late', (t) => {
+    t.mock.method(Date, 'now', () => RFC_TIME + 30 * 1000);
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE), RFC_STEP);
+    t.mock.method(Date, 'now', () => RFC_TIME - 30 * 1000);
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE), RFC_STEP);
+  });
+
+  it('refuses codes from further away', (t) => {
+    t.mock.method(Date, 'now', () => RFC_TIME + 60 * 1000);
+    assert.equal(verifyTotp(RFC_SECRET, RFC_CODE), null);
+  });
+
+  it('refuses codes that are not six digits', (t) => {
+    t.mock.method(Date, 'now', () => RFC_TIME);
+    assert.equal(verifyTotp(RFC_SECRET, '07081804'), null);
+    assert.equal(verifyTotp(RFC_SECRET, '08180a'), null);
+    assert.equal(verifyTotp(RFC_SECRET, 81804), null);
+    assert.equal(verifyTotp(RFC_SECRET, undefined), null);
+  });
+
+  it('makes base32 secrets that fit in an otpauth link', () => {
+    const secret = generateTotpSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    const uri = new URL(totpUri(secret, 'duck@example.com', 'DuckPond'));
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.searchParams.get('secret'), secret);
+  });
+
+  it('makes recovery codes in two groups of five', () => {
+    assert.match(generateRecoveryCode(), /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+import { readVideoInfo } from '../src/helpers/video.js';
+
+const fixture = (name) =>
+  fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+const VIDEOS = [
+  ['short.mp4', 'video/mp4', { width: 64, height: 48, duration: 1 }],
+  ['short.webm', 'video/webm', { width: 64, height: 48, duration: 1 }],
+  ['long.mp4', 'video/mp4', { width: 32, height: 24, duration: 61 }],
+  ['long.webm', 'video/webm', { width: 32, height: 24, duration: 61 }],
+];
+
+describe('readVideoInfo', () => {
+  for (const [name, mimetype, expected] of VIDEOS) {
+    it(`reads the size and length of ${name}`, () => {
+      assert.deepEqual(readVideoInfo(fixture(name), mimetype), expected);
+    });
+
+    it(`rejects ${name} cut off before its metadata`, () => {
+      const buffer = fixture(name);
+      for (const length of [0, 4, 8, 50, 200]) {
+        assert.equal(readVideoInfo(buffer.subarray(0, length), mimetype), null);
+      }
+    });
+  }
+
+  it('rejects an MP4 whose metadata comes after a cut', () => {
+    // ffmpeg writes the moov box after the media data
+    const buffer = fixture('short.mp4');
+    assert.equal(
+      readVideoInfo(buffer.subarray(0, buffer.length - 10), 'video/mp4'),
+      null
+    );
+  });
+
+  it('rejects a video of another type than it claims', () => {
+    assert.equal(readVideoInfo(fixture('short.mp4'), 'video/webm'), null);
+    assert.equal(readVideoInfo(fixture('short.webm'), 'video/mp4'), null);
+  });
+
+  it('rejects files that are not videos', () => {
+    const text = Buffer.from('definitely not a video');
+    assert.equal(readVideoInfo(text, 'video/mp4'), null);
+    assert.equal(readVideoInfo(text, 'video/webm'), null);
+    const noise = Buffer.alloc(4096, 0xff);
+    assert.equal(readVideoInfo(noise, 'video/mp4'), null);
+    assert.equal(readVideoInfo(noise, 'video/webm'), null);
+  });
+
+  it('rejects an MP4 with box sizes past the end of the file', () => {
+    const buffer = Buffer.from(fixture('short.mp4'));
+    const moov = buffer.indexOf('moov', 0, 'latin1') - 4;
+    buffer.writeUInt32BE(buffer.length * 2, moov);
+    assert.equal(readVideoInfo(buffer, 'video/mp4'), null);
+  });
+
+  it('rejects an MP4 whose movie header is cut short', () => {
+    const buffer = Buffer.from(fixture('short.mp4'));
+    const mvhd = buffer.indexOf('mvhd', 0, 'latin1') - 4;
+    // shrink the box to its header, so the rest of it is read as boxes
+    buffer.writeUInt32BE(8, mvhd);
+    assert.equal(readVideoInfo(buffer, 'video/mp4'), null);
+  });
+
+  it('rejects a WebM without a duration', () => {
+    const buffer = Buffer.from(fixture('short.webm'));
+    // rename the Duration element (0x4489) to an unknown id
+    const duration = buffer.indexOf(Buffer.from([0x44, 0x89]));
+    buffer[duration + 1] = 0x88;
+    assert.equal(readVideoInfo(buffer, 'video/webm'), null);
+  });
+});